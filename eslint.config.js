@@ -9,8 +9,12 @@ export default [
 
     languageOptions: {
       globals: {
+        'AbortController': false,
+        'AbortSignal': false,
+        'ReadableStream': false,
         'TextDecoder': false,
         'TextEncoder': false,
+        'WritableStream': false,
         // for benchmark:
         'console': false,
         'fetch': false,
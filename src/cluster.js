@@ -0,0 +1,135 @@
+// Space-filling curve clustering of rows across several columns.
+// Each column's values are replaced by their rank, scaled to a common number of bits,
+// so every column has equal weight regardless of its type or value range.
+// Rows are then ordered by the Z-order (bit interleaving) or Hilbert index of their ranks.
+
+import { compareValues } from './column.js'
+
+/**
+ * @import {DecodedArray} from 'hyparquet'
+ * @import {ClusterCurve} from '../src/types.js'
+ */
+
+const MAX_BITS = 31
+
+/**
+ * Order of the rows of `columns` along a space-filling curve. Rows in the same
+ * cell keep their original order.
+ *
+ * @param {DecodedArray[]} columns values of each clustered column, all the same length
+ * @param {ClusterCurve} curve
+ * @returns {number[]} row indexes in curve order
+ */
+export function clusterOrder(columns, curve) {
+  const dims = columns.length
+  const rows = columns[0]?.length ?? 0
+  const ranks = columns.map(valueRanks)
+  const levels = Math.max(...ranks.map(({ levels }) => levels))
+  const bits = Math.min(MAX_BITS, Math.max(1, Math.ceil(Math.log2(levels))))
+
+  // coordinates of each row, scaled to [0, 2^bits)
+  const keys = new Uint32Array(rows * dims)
+  for (let d = 0; d < dims; d++) {
+    const { rank, levels } = ranks[d]
+    const scale = 2 ** bits / levels
+    for (let i = 0; i < rows; i++) {
+      keys[i * dims + d] = Math.floor(rank[i] * scale)
+    }
+  }
+  if (curve === 'hilbert') {
+    for (let i = 0; i < rows; i++) {
+      hilbertTranspose(keys.subarray(i * dims, (i + 1) * dims), bits)
+    }
+  } else if (curve !== 'zorder') {
+    throw new Error(`parquet clusterBy curve must be zorder or hilbert, got ${curve}`)
+  }
+
+  const order = Array.from({ length: rows }, (_, i) => i)
+  return order.sort((a, b) => compareInterleaved(keys, dims, a, b))
+}
+
+/**
+ * Dense rank of each value, in the order of column statistics. Nulls share the
+ * last rank.
+ *
+ * @param {DecodedArray} data
+ * @returns {{ rank: Uint32Array, levels: number }}
+ */
+function valueRanks(data) {
+  const rank = new Uint32Array(data.length)
+  const sorted = []
+  let nulls = false
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === null || data[i] === undefined) nulls = true
+    else sorted.push(i)
+  }
+  sorted.sort((a, b) => compareValues(data[a], data[b]))
+  let distinct = 0
+  for (let i = 0; i < sorted.length; i++) {
+    if (i && compareValues(data[sorted[i - 1]], data[sorted[i]])) distinct++
+    rank[sorted[i]] = distinct
+  }
+  if (sorted.length) distinct++
+  if (nulls) {
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] === null || data[i] === undefined) rank[i] = distinct
+    }
+  }
+  return { rank, levels: Math.max(1, distinct + (nulls ? 1 : 0)) }
+}
+
+/**
+ * Compare two rows by the interleaved bits of their coordinates, with the
+ * first coordinate most significant, without building the interleaved key.
+ *
+ * @param {Uint32Array} keys
+ * @param {number} dims
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function compareInterleaved(keys, dims, a, b) {
+  let dim = 0
+  let highest = 0
+  for (let d = 0; d < dims; d++) {
+    const diff = keys[a * dims + d] ^ keys[b * dims + d]
+    // diff has a higher most significant bit than highest
+    if (highest < diff && highest < (highest ^ diff)) {
+      dim = d
+      highest = diff
+    }
+  }
+  return keys[a * dims + dim] - keys[b * dims + dim]
+}
+
+/**
+ * Convert coordinates in place to the transposed Hilbert index, whose
+ * interleaved bits are the position along the Hilbert curve.
+ * J. Skilling, "Programming the Hilbert curve", AIP Conf. Proc. 707 (2004).
+ *
+ * @param {Uint32Array} x coordinates of one row
+ * @param {number} bits
+ */
+function hilbertTranspose(x, bits) {
+  const n = x.length
+  // inverse undo excess work
+  for (let q = 1 << bits - 1; q > 1; q >>>= 1) {
+    const p = q - 1
+    for (let i = 0; i < n; i++) {
+      if (x[i] & q) {
+        x[0] ^= p
+      } else {
+        const t = (x[0] ^ x[i]) & p
+        x[0] ^= t
+        x[i] ^= t
+      }
+    }
+  }
+  // gray encode
+  for (let i = 1; i < n; i++) x[i] ^= x[i - 1]
+  let t = 0
+  for (let q = 1 << bits - 1; q > 1; q >>>= 1) {
+    if (x[n - 1] & q) t ^= q - 1
+  }
+  for (let i = 0; i < n; i++) x[i] ^= t
+}
@@ -1,11 +1,12 @@
 import { BloomBuilder } from './bloom.js'
-import { writeDataPageV2 } from './datapage.js'
-import { estimateValueSize, useDictionary, writeDictionaryPage } from './dictionary.js'
+import { chooseEncoding, writeDataPage, writeDataPageV2 } from './datapage.js'
+import { dictionaryEncoding, estimateValueSize, useDictionary, writeDictionaryPage } from './dictionary.js'
 import { geospatialStatistics } from './geospatial.js'
+import { getMaxRepetitionLevel } from './schema.js'
 import { unconvert, unconvertMinMax } from './unconvert.js'
 
 /**
- * @import {ColumnChunk, ColumnIndex, DecodedArray, Encoding, OffsetIndex, ParquetType, Statistics} from 'hyparquet'
+ * @import {ColumnChunk, ColumnIndex, ColumnMetaData, DecodedArray, Encoding, OffsetIndex, ParquetType, Statistics} from 'hyparquet'
  * @import {PageEncodingStats} from 'hyparquet/src/types.js'
  * @import {ColumnEncoder, PageData, Writer} from '../src/types.js'
  */
@@ -17,14 +18,16 @@ import { unconvert, unconvertMinMax } from './unconvert.js'
  * @param {Writer} options.writer
  * @param {ColumnEncoder} options.column
  * @param {PageData} options.pageData
- * @returns {{ chunk: ColumnChunk, columnIndex?: ColumnIndex, offsetIndex?: OffsetIndex, bloomFilter?: Uint32Array }}
+ * @returns {{ chunk: ColumnChunk, columnIndex?: ColumnIndex, offsetIndex?: OffsetIndex, bloomFilter?: Uint32Array, pages: number, uncompressedBytes: number }}
  */
 export function writeColumn({ writer, column, pageData }) {
-  const { columnName, element, schemaPath, stats, pageSize, encoding: userEncoding } = column
+  const { columnName, element, schemaPath, stats, pageSize, pageRowLimit, encoding: userEncoding, pageVersion = 2 } = column
   const { type, type_length } = element
   if (!type) throw new Error(`column ${columnName} cannot determine type`)
   const { values, definitionLevels, repetitionLevels, maxDefinitionLevel } = pageData
   const offsetStart = writer.offset
+  // uncompressed size of all pages, headers included
+  let uncompressedBytes = 0
 
   /** @type {Encoding[]} */
   const encodings = []
@@ -47,33 +50,70 @@ export function writeColumn({ writer, column, pageData }) {
   // dictionary encoding
   /** @type {bigint | undefined} */
   let dictionary_page_offset
-  const { dictionary, indexes } = useDictionary(values, type, type_length, userEncoding, pageSize)
+  // auto encoding still uses a dictionary when the values repeat enough
+  const requested = userEncoding === 'auto' ? undefined : userEncoding
+  const { dictionary, indexes } = useDictionary(values, type, type_length, requested, pageSize)
 
-  // Determine encoding and prepare values for writing
-  /** @type {Encoding} */
-  let encoding
+  // Values before fallbackStart are dictionary encoded. If the dictionary
+  // outgrew pageSize partway through, the rest fall back to another encoding,
+  // starting at a row boundary.
+  let fallbackStart = indexes?.length ?? 0
+  while (fallbackStart < values.length && repetitionLevels[fallbackStart]) fallbackStart--
+
+  /** @type {{ start: number, end: number, encoding: Encoding }[]} */
+  const pageBoundaries = []
+  /** @type {DecodedArray} */
+  let dictionaryValues = []
   /** @type {DecodedArray} */
-  let writeValues
-  let writeType = type
-  if (dictionary && indexes) {
+  let fallbackValues = []
+  // byte length of the plain values, for size statistics of byte array columns
+  let unencodedBytes = 0
+  if (dictionary && indexes && fallbackStart) {
     // replace values with dictionary indices
-    writeValues = indexes
-    writeType = 'INT32'
-    encoding = 'RLE_DICTIONARY'
+    dictionaryValues = indexes.slice(0, fallbackStart)
+    // legacy v1 readers only know the deprecated name for dictionary indexes
+    const encoding = pageVersion === 1 ? 'PLAIN_DICTIONARY' : 'RLE_DICTIONARY'
+    encodings.push(encoding)
+    for (const page of getPageBoundaries({ values: dictionaryValues, type: 'INT32', pageSize, pageRowLimit, repetitionLevels })) {
+      pageBoundaries.push({ ...page, encoding })
+    }
 
     // write dictionary page first
     dictionary_page_offset = BigInt(writer.offset)
     const unconverted = unconvert(element, dictionary)
-    writeDictionaryPage(writer, column, unconverted)
-  } else {
+    uncompressedBytes += writeDictionaryPage(writer, column, unconverted)
+    if (type === 'BYTE_ARRAY') {
+      const lengths = Array.from(unconverted, byteArrayLength)
+      for (const index of dictionaryValues) {
+        if (index !== undefined) unencodedBytes += lengths[index]
+      }
+    }
+  }
+  if (!fallbackStart || fallbackStart < values.length) {
     // unconvert values from rich types to simple
-    writeValues = unconvert(element, values)
-    encoding = userEncoding ?? (type === 'BOOLEAN' && values.length > 16 ? 'RLE' : 'PLAIN')
+    fallbackValues = unconvert(element, fallbackStart ? values.slice(fallbackStart) : values)
+    /** @type {Encoding} */
+    let encoding
+    if (userEncoding === 'auto') {
+      encoding = chooseEncoding(column, fallbackValues)
+    } else if (userEncoding && userEncoding !== 'RLE_DICTIONARY') {
+      encoding = userEncoding
+    } else {
+      // legacy v1 readers only handle PLAIN booleans
+      encoding = type === 'BOOLEAN' && values.length > 16 && pageVersion !== 1 ? 'RLE' : 'PLAIN'
+    }
+    encodings.push(encoding)
+    if (type === 'BYTE_ARRAY') {
+      for (const value of fallbackValues) unencodedBytes += byteArrayLength(value)
+    }
+    const pages = getPageBoundaries({ values: fallbackValues, type, type_length, pageSize, pageRowLimit, repetitionLevels, offset: fallbackStart })
+    for (const { start, end } of pages) {
+      pageBoundaries.push({ start: fallbackStart + start, end: fallbackStart + end, encoding })
+    }
   }
-  encodings.push(encoding)
 
-  // Split values into pages based on pageSize
-  const pageBoundaries = getPageBoundaries(writeValues, writeType, type_length, pageSize)
+  // Level histograms are omitted when the max level is 0
+  const maxRepetitionLevel = getMaxRepetitionLevel(schemaPath)
 
   // Initialize index structures if requested
   /** @type {ColumnIndex | undefined} */
@@ -83,6 +123,8 @@ export function writeColumn({ writer, column, pageData }) {
     max_values: [],
     boundary_order: 'UNORDERED',
     null_counts: [],
+    repetition_level_histograms: maxRepetitionLevel ? [] : undefined,
+    definition_level_histograms: maxDefinitionLevel ? [] : undefined,
   } : undefined
   /** @type {OffsetIndex | undefined} */
   const offsetIndex = column.offsetIndex && pageBoundaries.length > 1 ? {
@@ -98,28 +140,40 @@ export function writeColumn({ writer, column, pageData }) {
   let ascending = true
   let descending = true
 
-  for (const { start, end } of pageBoundaries) {
+  for (const { start, end, encoding } of pageBoundaries) {
     const pageOffset = writer.offset
 
     // Slice into subpage and write levels and data
     const pageChunk = {
-      values: writeValues.slice(start, end),
+      values: start < fallbackStart
+        ? dictionaryValues.slice(start, end)
+        : fallbackValues.slice(start - fallbackStart, end - fallbackStart),
       definitionLevels: definitionLevels.slice(start, end),
       repetitionLevels: repetitionLevels.slice(start, end),
       maxDefinitionLevel,
     }
-    writeDataPageV2({ writer, column, encoding, pageData: pageChunk })
+    // Page statistics from original values not indexes, for the page header and column index
+    const pageStatistics = columnIndex || column.pageStatistics ? getStatistics(values.slice(start, end)) : undefined
+    const writePage = pageVersion === 1 ? writeDataPage : writeDataPageV2
+    uncompressedBytes += writePage({
+      writer,
+      column,
+      encoding,
+      pageData: pageChunk,
+      statistics: column.pageStatistics ? pageStatistics : undefined,
+    })
 
     // ColumnIndex construction
-    if (columnIndex) {
-      const pageValues = values.slice(start, end) // original values not indexes
-      const { min_value, max_value, null_count = 0n } = getStatistics(pageValues)
+    if (columnIndex && pageStatistics) {
+      const { min_value, max_value, null_count = 0n } = pageStatistics
 
       columnIndex.null_pages.push(null_count === BigInt(end - start)) // all nulls
       // Spec: for all-null pages set "byte[0]"
       columnIndex.min_values.push(unconvertMinMax(min_value, element, false) ?? new Uint8Array())
       columnIndex.max_values.push(unconvertMinMax(max_value, element, true) ?? new Uint8Array())
       columnIndex.null_counts?.push(null_count)
+      columnIndex.repetition_level_histograms?.push(...levelHistogram(repetitionLevels, maxRepetitionLevel, start, end))
+      columnIndex.definition_level_histograms?.push(...levelHistogram(definitionLevels, maxDefinitionLevel, start, end))
 
       // Track boundary order using original JS values
       if (prevMinValue !== undefined && min_value !== undefined) {
@@ -169,11 +223,23 @@ export function writeColumn({ writer, column, pageData }) {
   if (stats) {
     encoding_stats = []
     if (dictionary_page_offset !== undefined) {
-      encoding_stats.push({ page_type: 'DICTIONARY_PAGE', encoding: 'PLAIN', count: 1 })
+      encoding_stats.push({ page_type: 'DICTIONARY_PAGE', encoding: dictionaryEncoding(column), count: 1 })
+    }
+    const page_type = pageVersion === 1 ? 'DATA_PAGE' : 'DATA_PAGE_V2'
+    for (const encoding of encodings) {
+      const count = pageBoundaries.filter(page => page.encoding === encoding).length
+      encoding_stats.push({ page_type, encoding, count })
     }
-    encoding_stats.push({ page_type: 'DATA_PAGE_V2', encoding, count: pageBoundaries.length })
   }
 
+  // Size statistics are omitted when there is nothing to report
+  /** @type {ColumnMetaData['size_statistics']} */
+  const size_statistics = stats && (type === 'BYTE_ARRAY' || maxRepetitionLevel || maxDefinitionLevel) ? {
+    unencoded_byte_array_data_bytes: type === 'BYTE_ARRAY' ? BigInt(unencodedBytes) : undefined,
+    repetition_level_histogram: maxRepetitionLevel ? levelHistogram(repetitionLevels, maxRepetitionLevel, 0, values.length) : undefined,
+    definition_level_histogram: maxDefinitionLevel ? levelHistogram(definitionLevels, maxDefinitionLevel, 0, values.length) : undefined,
+  } : undefined
+
   return {
     chunk: {
       meta_data: {
@@ -183,11 +249,12 @@ export function writeColumn({ writer, column, pageData }) {
         codec: column.codec ?? 'UNCOMPRESSED',
         num_values: BigInt(values.length),
         total_compressed_size: BigInt(writer.offset - offsetStart),
-        total_uncompressed_size: BigInt(writer.offset - offsetStart), // TODO: uncompressed pages + headers
+        total_uncompressed_size: BigInt(uncompressedBytes),
         data_page_offset,
         dictionary_page_offset,
         statistics,
         encoding_stats,
+        size_statistics,
         geospatial_statistics,
       },
       file_offset: BigInt(offsetStart),
@@ -195,39 +262,79 @@ export function writeColumn({ writer, column, pageData }) {
     columnIndex,
     offsetIndex,
     bloomFilter,
+    pages: pageBoundaries.length,
+    uncompressedBytes,
   }
 }
 
 /**
- * Get page boundaries based on estimated byte size.
- * TODO: split pages on row boundaries
+ * Count the levels from start to end by level, for size statistics and column
+ * indexes. Columns without definition levels have only non-null values.
  *
- * @param {DecodedArray} values
- * @param {ParquetType} type
- * @param {number | undefined} type_length
- * @param {number} pageSize
+ * @param {number[]} levels
+ * @param {number} maxLevel
+ * @param {number} start
+ * @param {number} end
+ * @returns {bigint[]}
+ */
+function levelHistogram(levels, maxLevel, start, end) {
+  const counts = new Array(maxLevel + 1).fill(0)
+  if (!levels.length) counts[maxLevel] = end - start
+  for (let i = start; i < end && i < levels.length; i++) counts[levels[i]]++
+  return counts.map(BigInt)
+}
+
+/**
+ * Unencoded length of a byte array value, without its length prefix.
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+function byteArrayLength(value) {
+  if (value instanceof Uint8Array) return value.byteLength
+  if (typeof value === 'string') return new TextEncoder().encode(value).byteLength
+  return 0
+}
+
+/**
+ * Get page boundaries based on estimated byte size and row count. Pages only
+ * start at a row boundary (repetition level 0), so that every page holds whole
+ * rows, as required by v2 page num_rows and the offset index first_row_index.
+ *
+ * @param {object} options
+ * @param {DecodedArray} options.values
+ * @param {ParquetType} options.type
+ * @param {number} [options.type_length]
+ * @param {number} options.pageSize
+ * @param {number} [options.pageRowLimit] max rows per page
+ * @param {number[]} options.repetitionLevels repetition levels of the whole column chunk, or empty
+ * @param {number} [options.offset] index of the first value in the column chunk
  * @returns {{start: number, end: number}[]}
  */
-function getPageBoundaries(values, type, type_length, pageSize) {
-  // If no pageSize limit, return single page with all values
-  if (!pageSize) {
+function getPageBoundaries({ values, type, type_length, pageSize, pageRowLimit = Infinity, repetitionLevels, offset = 0 }) {
+  // If no limits, return single page with all values
+  if (!pageSize && pageRowLimit === Infinity) {
     return [{ start: 0, end: values.length }]
   }
 
   const boundaries = []
   let start = 0
   let accumulatedBytes = 0
+  let rows = 0
 
   for (let i = 0; i < values.length; i++) {
-    const valueSize = estimateValueSize(values[i], type, type_length)
+    const valueSize = pageSize ? estimateValueSize(values[i], type, type_length) : 0
     accumulatedBytes += valueSize
+    const rowStart = !repetitionLevels[offset + i]
 
     // Check if we should start a new page
-    if (accumulatedBytes >= pageSize && i > start) {
+    if (rowStart && i > start && (pageSize && accumulatedBytes >= pageSize || rows >= pageRowLimit)) {
       boundaries.push({ start, end: i })
       start = i
       accumulatedBytes = valueSize
+      rows = 0
     }
+    if (rowStart) rows++
   }
 
   // Final page with remaining values
@@ -270,7 +377,7 @@ function getStatistics(values) {
  * @param {any} right
  * @returns {number}
  */
-function compareValues(left, right) {
+export function compareValues(left, right) {
   if (left instanceof Uint8Array && right instanceof Uint8Array) {
     const length = Math.min(left.length, right.length)
     for (let i = 0; i < length; i += 1) {
@@ -0,0 +1,71 @@
+import { readFooter } from './footer.js'
+import { ParquetWriter } from './parquet-writer.js'
+import { schemaEquals } from './schema.js'
+
+/**
+ * @import {RowGroup} from 'hyparquet'
+ * @import {PageIndexes, ParquetConcatOptions, ParquetWriteResult} from '../src/types.js'
+ */
+
+/**
+ * Merge parquet files with the same schema into one file, without decoding
+ * and re-encoding any values.
+ *
+ * Every row group of every input is copied as-is: data pages, dictionary pages,
+ * statistics, page indexes and bloom filters are carried over, with their page
+ * offsets rebased for the new layout. Row groups are not combined, so merging
+ * many small files gives a file with many small row groups.
+ *
+ * Key-value metadata is taken from the first file unless `kvMetadata` is given.
+ *
+ * @param {ParquetConcatOptions} options
+ * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
+ */
+export function parquetConcat({ writer, files, kvMetadata }) {
+  if (!files.length) throw new Error('parquetConcat requires at least one file')
+  const footers = files.map(readFooter)
+  const { schema, key_value_metadata, created_by } = footers[0].metadata
+  for (let i = 1; i < footers.length; i++) {
+    if (!schemaEquals(schema, footers[i].metadata.schema)) {
+      throw new Error(`parquet concat schema of file ${i} does not match file 0`)
+    }
+  }
+
+  const pq = new ParquetWriter({ writer, schema, kvMetadata: kvMetadata ?? key_value_metadata })
+  // keep created_by when all inputs agree, readers use it to work around writer bugs
+  if (created_by && footers.every(({ metadata }) => metadata.created_by === created_by)) {
+    pq.created_by = created_by
+  }
+
+  /**
+   * Yield each row group of each file with the page indexes of its chunks.
+   * @yields {{ file: ArrayBuffer, rowGroup: RowGroup, pageIndexes: PageIndexes[] }}
+   */
+  function* rowGroups() {
+    for (let i = 0; i < files.length; i++) {
+      const { metadata, pageIndexes } = footers[i]
+      let chunkIndex = 0
+      for (const rowGroup of metadata.row_groups) {
+        const chunkEnd = chunkIndex + rowGroup.columns.length
+        yield { file: files[i], rowGroup, pageIndexes: pageIndexes.slice(chunkIndex, chunkEnd) }
+        chunkIndex = chunkEnd
+      }
+    }
+  }
+
+  const it = rowGroups()
+
+  /**
+   * Copy row groups in order, waiting for an async flush before the next one.
+   * @returns {void | Promise<void>}
+   */
+  function drain() {
+    for (let next = it.next(); !next.done; next = it.next()) {
+      const r = pq.copyRowGroup(next.value)
+      if (r) return r.then(drain)
+    }
+  }
+
+  const drained = drain()
+  return drained ? drained.then(() => pq.finish()) : pq.finish()
+}
@@ -0,0 +1,27 @@
+// CRC-32 (ISO-HDLC, as in gzip and zlib) for parquet page checksums.
+// Table-driven, one byte at a time, with the reflected polynomial 0xEDB88320.
+
+const CRC_TABLE = new Uint32Array(256)
+for (let n = 0; n < 256; n++) {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ c >>> 1 : c >>> 1
+  }
+  CRC_TABLE[n] = c
+}
+
+/**
+ * Compute the CRC-32 of a sequence of byte arrays, as if concatenated.
+ *
+ * @param {...Uint8Array} chunks
+ * @returns {number} signed 32-bit checksum, as stored in the page header i32
+ */
+export function crc32(...chunks) {
+  let crc = 0xffffffff
+  for (const bytes of chunks) {
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ crc >>> 8
+    }
+  }
+  return ~crc
+}
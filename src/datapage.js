@@ -1,11 +1,13 @@
 import { Encodings, PageTypes } from 'hyparquet/src/constants.js'
 import { ByteWriter } from './bytewriter.js'
+import { crc32 } from './crc32.js'
 import { deltaBinaryPack, deltaByteArray, deltaLengthByteArray } from './delta.js'
 import { writeRleBitPackedHybrid } from './encoding.js'
 import { writePlain } from './plain.js'
 import { getMaxRepetitionLevel } from './schema.js'
 import { writeByteStreamSplit } from './splitstream.js'
 import { serializeTCompactProtocol } from './thrift.js'
+import { unconvertStatistics } from './unconvert.js'
 
 /**
  * @param {Object} options
@@ -13,13 +15,11 @@ import { serializeTCompactProtocol } from './thrift.js'
  * @param {ColumnEncoder} options.column
  * @param {Encoding} options.encoding
  * @param {PageData} options.pageData
+ * @param {Statistics} [options.statistics] page statistics for the header
+ * @returns {number} uncompressed size of the page, header included
  */
-export function writeDataPageV2({ writer, column, encoding, pageData }) {
-  const { columnName, element, codec, compressors } = column
-  const { type, type_length, repetition_type } = element
-
-  if (!type) throw new Error(`column ${columnName} cannot determine type`)
-  if (repetition_type === 'REPEATED') throw new Error(`column ${columnName} repeated types not supported`)
+export function writeDataPageV2({ writer, column, encoding, pageData, statistics }) {
+  const { element, codec, compressors, pageChecksums } = column
 
   // write levels to temp buffer
   const levelWriter = new ByteWriter()
@@ -30,11 +30,182 @@ export function writeDataPageV2({ writer, column, encoding, pageData }) {
     num_values,
     num_rows,
   } = writeLevels(levelWriter, column, pageData)
+  const levels = levelWriter.getBytes()
+
+  // write page data to temp buffer
+  const page = writePageValues(column, encoding, pageData.values, num_nulls)
+
+  // compress page data
+  const pageBytes = page.getBytes()
+  const compressedBytes = compressors[codec]?.(pageBytes) ?? pageBytes
+
+  // write page header
+  const headerStart = writer.offset
+  const uncompressed_page_size = levelWriter.offset + page.offset
+  writePageHeader(writer, {
+    type: 'DATA_PAGE_V2',
+    uncompressed_page_size,
+    compressed_page_size: levelWriter.offset + compressedBytes.length,
+    // checksum covers the levels and the compressed values, as stored
+    crc: pageChecksums ? crc32(levels, compressedBytes) : undefined,
+    data_page_header_v2: {
+      num_values,
+      num_nulls,
+      num_rows,
+      encoding,
+      definition_levels_byte_length,
+      repetition_levels_byte_length,
+      is_compressed: !!codec,
+      statistics,
+    },
+  }, element)
+  const headerSize = writer.offset - headerStart
+
+  // write levels
+  writer.appendBytes(levels)
+
+  // write page data
+  writer.appendBytes(compressedBytes)
+  return headerSize + uncompressed_page_size
+}
+
+/**
+ * Write a DATA_PAGE (v1), for readers that do not support v2 pages. Unlike v2,
+ * the repetition and definition levels are each prefixed with their byte
+ * length, and compressed together with the values.
+ *
+ * @param {Object} options
+ * @param {Writer} options.writer
+ * @param {ColumnEncoder} options.column
+ * @param {Encoding} options.encoding
+ * @param {PageData} options.pageData
+ * @param {Statistics} [options.statistics] page statistics for the header
+ * @returns {number} uncompressed size of the page, header included
+ */
+export function writeDataPage({ writer, column, encoding, pageData, statistics }) {
+  const { element, schemaPath, codec, compressors, pageChecksums } = column
+
+  // write levels to temp buffer
+  const levelWriter = new ByteWriter()
+  const {
+    definition_levels_byte_length,
+    repetition_levels_byte_length,
+    num_nulls,
+    num_values,
+  } = writeLevels(levelWriter, column, pageData)
+  const levels = levelWriter.getBytes()
+
+  // levels are present whenever the max level is non-zero, even if empty
+  const page = new ByteWriter()
+  if (getMaxRepetitionLevel(schemaPath)) {
+    page.appendUint32(repetition_levels_byte_length)
+    page.appendBytes(levels.subarray(0, repetition_levels_byte_length))
+  }
+  if (pageData.maxDefinitionLevel) {
+    page.appendUint32(definition_levels_byte_length)
+    page.appendBytes(levels.subarray(repetition_levels_byte_length))
+  }
+  page.appendBytes(writePageValues(column, encoding, pageData.values, num_nulls).getBytes())
+
+  // compress levels and page data
+  const pageBytes = page.getBytes()
+  const compressedBytes = compressors[codec]?.(pageBytes) ?? pageBytes
+
+  // write page header
+  const headerStart = writer.offset
+  writePageHeader(writer, {
+    type: 'DATA_PAGE',
+    uncompressed_page_size: pageBytes.length,
+    compressed_page_size: compressedBytes.length,
+    crc: pageChecksums ? crc32(compressedBytes) : undefined,
+    data_page_header: {
+      num_values,
+      encoding,
+      definition_level_encoding: 'RLE',
+      repetition_level_encoding: 'RLE',
+      statistics,
+    },
+  }, element)
+  const headerSize = writer.offset - headerStart
+
+  writer.appendBytes(compressedBytes)
+  return headerSize + pageBytes.length
+}
+
+/**
+ * Candidate encodings for `encoding: 'auto'`, by physical type. PLAIN comes
+ * first so that it wins ties.
+ *
+ * @type {Partial<Record<ParquetType, Encoding[]>>}
+ */
+const autoEncodings = {
+  INT32: ['PLAIN', 'DELTA_BINARY_PACKED', 'BYTE_STREAM_SPLIT'],
+  INT64: ['PLAIN', 'DELTA_BINARY_PACKED', 'BYTE_STREAM_SPLIT'],
+  FLOAT: ['PLAIN', 'BYTE_STREAM_SPLIT'],
+  DOUBLE: ['PLAIN', 'BYTE_STREAM_SPLIT'],
+  FIXED_LEN_BYTE_ARRAY: ['PLAIN', 'BYTE_STREAM_SPLIT'],
+  BYTE_ARRAY: ['PLAIN', 'DELTA_LENGTH_BYTE_ARRAY', 'DELTA_BYTE_ARRAY'],
+}
+
+const AUTO_SAMPLE_SIZE = 1000
+
+/**
+ * Choose the encoding for `encoding: 'auto'` by trial-encoding a sample of the
+ * values with each candidate, compressed with the column codec, and picking
+ * the smallest. v1 pages are written for legacy readers, which may not support
+ * the newer encodings, so they are always PLAIN.
+ *
+ * @param {ColumnEncoder} column
+ * @param {DecodedArray} values unconverted values
+ * @returns {Encoding}
+ */
+export function chooseEncoding(column, values) {
+  const { element, codec, compressors, pageVersion } = column
+  const type = element.type
+  if (pageVersion === 1) return 'PLAIN'
+  if (type === 'BOOLEAN') return values.length > 16 ? 'RLE' : 'PLAIN'
+  const candidates = type && autoEncodings[type]
+  if (!candidates) return 'PLAIN'
+
+  // leading run of non-null values, so deltas and prefixes are representative
+  const sample = []
+  for (let i = 0; i < values.length && sample.length < AUTO_SAMPLE_SIZE; i++) {
+    if (values[i] !== null && values[i] !== undefined) sample.push(values[i])
+  }
+  if (!sample.length) return 'PLAIN'
+
+  let best = candidates[0]
+  let bestSize = Infinity
+  for (const encoding of candidates) {
+    const bytes = writePageValues(column, encoding, sample, 0).getBytes()
+    const size = (compressors[codec]?.(bytes) ?? bytes).length
+    if (size < bestSize) {
+      best = encoding
+      bestSize = size
+    }
+  }
+  return best
+}
+
+/**
+ * Encode the non-null values of a data page.
+ *
+ * @param {ColumnEncoder} column
+ * @param {Encoding} encoding
+ * @param {DecodedArray} values
+ * @param {number} num_nulls
+ * @returns {ByteWriter}
+ */
+function writePageValues(column, encoding, values, num_nulls) {
+  const { columnName, element } = column
+  const { type, type_length, repetition_type } = element
+
+  if (!type) throw new Error(`column ${columnName} cannot determine type`)
+  if (repetition_type === 'REPEATED') throw new Error(`column ${columnName} repeated types not supported`)
 
   // TODO: skip nulls while writing instead of filtering
-  const nonnull = num_nulls ? pageData.values.filter(v => v !== null && v !== undefined) : pageData.values
+  const nonnull = num_nulls ? values.filter(v => v !== null && v !== undefined) : values
 
-  // write page data to temp buffer
   const page = new ByteWriter()
   if (encoding === 'PLAIN') {
     writePlain(page, nonnull, type, type_length)
@@ -71,40 +242,15 @@ export function writeDataPageV2({ writer, column, encoding, pageData }) {
   } else {
     throw new Error(`parquet unsupported encoding: ${encoding}`)
   }
-
-  // compress page data
-  const pageBytes = page.getBytes()
-  const compressedBytes = compressors[codec]?.(pageBytes) ?? pageBytes
-
-  // write page header
-  writePageHeader(writer, {
-    type: 'DATA_PAGE_V2',
-    uncompressed_page_size: levelWriter.offset + page.offset,
-    compressed_page_size: levelWriter.offset + compressedBytes.length,
-    data_page_header_v2: {
-      num_values,
-      num_nulls,
-      num_rows,
-      encoding,
-      definition_levels_byte_length,
-      repetition_levels_byte_length,
-      is_compressed: !!codec,
-      // is there benefit to page statistics here?
-    },
-  })
-
-  // write levels
-  writer.appendBytes(levelWriter.getBytes())
-
-  // write page data
-  writer.appendBytes(compressedBytes)
+  return page
 }
 
 /**
  * @param {Writer} writer
  * @param {PageHeader} header
+ * @param {SchemaElement} [element] column schema element, to serialize page statistics
  */
-export function writePageHeader(writer, header) {
+export function writePageHeader(writer, header, element) {
   /** @type {ThriftObject} */
   const compact = {
     field_1: PageTypes.indexOf(header.type),
@@ -116,7 +262,7 @@ export function writePageHeader(writer, header) {
       field_2: Encodings.indexOf(header.data_page_header.encoding),
       field_3: Encodings.indexOf(header.data_page_header.definition_level_encoding),
       field_4: Encodings.indexOf(header.data_page_header.repetition_level_encoding),
-      // field_5: header.data_page_header.statistics,
+      field_5: element && header.data_page_header.statistics && unconvertStatistics(header.data_page_header.statistics, element),
     },
     field_7: header.dictionary_page_header && {
       field_1: header.dictionary_page_header.num_values,
@@ -130,13 +276,14 @@ export function writePageHeader(writer, header) {
       field_5: header.data_page_header_v2.definition_levels_byte_length,
       field_6: header.data_page_header_v2.repetition_levels_byte_length,
       field_7: header.data_page_header_v2.is_compressed ? undefined : false, // default true
+      field_8: element && header.data_page_header_v2.statistics && unconvertStatistics(header.data_page_header_v2.statistics, element),
     },
   }
   serializeTCompactProtocol(writer, compact)
 }
 
 /**
- * @import {DecodedArray, Encoding, PageHeader} from 'hyparquet'
+ * @import {DecodedArray, Encoding, PageHeader, ParquetType, SchemaElement, Statistics} from 'hyparquet'
  * @import {ColumnEncoder, PageData, ThriftObject, Writer} from '../src/types.js'
  * @param {Writer} writer
  * @param {ColumnEncoder} column
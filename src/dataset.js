@@ -0,0 +1,286 @@
+import { ParquetWriter, columnElements, estimateRowSize, groupSize, transposeWindow } from './parquet-writer.js'
+import { schemaFromColumnData } from './schema.js'
+
+/**
+ * @import {SchemaElement} from 'hyparquet'
+ * @import {ColumnSource, ParquetWritePartitionsOptions, ParquetWriteResult, RollingFile, Writer} from '../src/types.js'
+ */
+
+/**
+ * @typedef {object} Partition
+ * @property {string} dir partition directory, e.g. date=2026-10-01/country=US
+ * @property {Record<string, any>[]} batch rows buffered for the next row group
+ * @property {number} bytes estimated size of the buffered rows, with rowGroupBytes
+ * @property {number} groups row groups written to the open file
+ * @property {number} rows rows written or buffered in the open file
+ * @property {{ filename: string, writer: Writer, pq: ParquetWriter }} [file] open file
+ */
+
+/**
+ * Write rows as a hive-style partitioned dataset. Each row is routed to a
+ * directory named after its partition values, such as
+ * `date=2026-10-01/country=US/part-0.parquet`, so that query engines can prune
+ * partitions by path. Partition columns are dropped from the files themselves.
+ *
+ * Each partition buffers its own row group and keeps its own ParquetWriter open.
+ * At most `maxOpenWriters` partitions are open at once: when another one is
+ * needed, the least recently used partition is flushed and finished, and a
+ * later row for it starts a new file (part-1.parquet, ...).
+ *
+ * `createWriter(filename)` opens the sink for each file, given its path
+ * relative to the dataset root. The schema of the data columns is inferred
+ * from the first row group written unless given, and shared by all files.
+ *
+ * Returns the files written. Like {@link parquetWriteRows}, returns a promise
+ * when the source or the sink is async. If writing fails, writer.abort() is
+ * called on every file still open, so partial files can be discarded, and the
+ * error is rethrown. Files already finished are kept.
+ *
+ * @param {ParquetWritePartitionsOptions} options
+ * @returns {RollingFile[] | Promise<RollingFile[]>}
+ */
+export function parquetWritePartitions({ rows, columns, partitionBy, createWriter, maxOpenWriters = 64, schema, rowGroupBytes, rowGroupSize = rowGroupBytes ? Infinity : [1000, 100000], pageSize, ...options }) {
+  if (!Array.isArray(partitionBy) || partitionBy.length === 0) {
+    throw new Error('parquetWritePartitions requires a non-empty partitionBy array')
+  }
+  for (const key of partitionBy) {
+    if (!columns.some(column => column.name === key)) {
+      throw new Error(`parquetWritePartitions partition column not found: ${key}`)
+    }
+  }
+  const dataColumns = columns.filter(column => !partitionBy.includes(column.name))
+  if (!dataColumns.length) {
+    throw new Error('parquetWritePartitions requires at least one non-partition column')
+  }
+  if (!(maxOpenWriters >= 1)) {
+    throw new Error('parquetWritePartitions maxOpenWriters must be at least 1')
+  }
+  if (Array.isArray(rowGroupSize) && !rowGroupSize.length) {
+    throw new Error('rowGroupSize array cannot be empty')
+  }
+  /** @type {any} */
+  const source = rows
+  const isAsync = source && typeof source[Symbol.asyncIterator] === 'function'
+  if (!isAsync && !(source && typeof source[Symbol.iterator] === 'function')) {
+    throw new Error('parquetWritePartitions expects a rows array, iterable, or async iterable')
+  }
+  const fields = dataColumns.map(column => column.name)
+
+  /** @type {SchemaElement[] | undefined} */
+  let fileSchema = schema
+  /** @type {(SchemaElement | undefined)[] | undefined} */
+  let elements
+  /** @type {RollingFile[]} */
+  const files = []
+  // open partitions, least recently used first
+  /** @type {Map<string, Partition>} */
+  const open = new Map()
+  // next part number of each partition directory
+  /** @type {Map<string, number>} */
+  const parts = new Map()
+
+  /**
+   * Route one row to its partition, closing the least recently used partition
+   * first if too many are open.
+   * @param {Record<string, any>} row
+   * @returns {void | Promise<void>}
+   */
+  function push(row) {
+    const dir = partitionBy.map(key => `${escapePathValue(key)}=${partitionValue(row[key])}`).join('/')
+    const partition = open.get(dir)
+    if (partition) {
+      // re-inserted by add() as the most recently used
+      open.delete(dir)
+      return add(partition, row)
+    }
+    /** @type {Partition} */
+    const created = { dir, batch: [], bytes: 0, groups: 0, rows: 0 }
+    if (open.size >= maxOpenWriters) {
+      const [oldest] = open.values()
+      const r = close(oldest)
+      if (r) return r.then(() => add(created, row))
+    }
+    return add(created, row)
+  }
+
+  /**
+   * @param {Partition} partition
+   * @param {Record<string, any>} row
+   * @returns {void | Promise<void>}
+   */
+  function add(partition, row) {
+    open.set(partition.dir, partition)
+    partition.batch.push(row)
+    partition.rows++
+    if (rowGroupBytes) {
+      if (fileSchema && !elements) elements = columnElements(fileSchema, fields)
+      partition.bytes += estimateRowSize(row, fields, elements)
+    }
+    if (partition.batch.length >= groupSize(rowGroupSize, partition.groups) ||
+      rowGroupBytes !== undefined && partition.bytes >= rowGroupBytes) {
+      return writeBatch(partition)
+    }
+  }
+
+  /**
+   * Write the buffered rows of a partition as one row group, opening its next
+   * file if needed.
+   * @param {Partition} partition
+   * @returns {void | Promise<void>}
+   */
+  function writeBatch(partition) {
+    const batch = partition.batch
+    if (!batch.length) return
+    partition.batch = []
+    partition.bytes = 0
+    const cols = transposeWindow(batch, fields, 0, batch.length)
+    /** @type {ColumnSource[]} */
+    const columnData = dataColumns.map((spec, c) => ({ ...spec, data: cols[c] }))
+    fileSchema ??= schemaFromColumnData({ columnData })
+    if (!partition.file) {
+      const part = parts.get(partition.dir) ?? 0
+      parts.set(partition.dir, part + 1)
+      const filename = `${partition.dir}/part-${part}.parquet`
+      const writer = createWriter(filename)
+      const pq = new ParquetWriter({ ...options, writer, schema: fileSchema })
+      partition.file = { filename, writer, pq }
+    }
+    partition.groups++
+    return partition.file.pq.write({ columnData, rowGroupSize: batch.length, pageSize })
+  }
+
+  /**
+   * Flush and finish a partition's file, and forget the partition. It stays
+   * open until finished, so that it is aborted if finishing fails.
+   * @param {Partition} partition
+   * @returns {void | Promise<void>}
+   */
+  function close(partition) {
+    const r = writeBatch(partition)
+    return r ? r.then(() => finish(partition)) : finish(partition)
+  }
+
+  /**
+   * Finish a partition's open file, if any, record it, and forget the partition.
+   * @param {Partition} partition
+   * @returns {void | Promise<void>}
+   */
+  function finish(partition) {
+    const { file } = partition
+    if (!file) {
+      open.delete(partition.dir)
+      return
+    }
+    const r = file.pq.finish()
+    if (r instanceof Promise) return r.then(result => record(partition, file, result))
+    record(partition, file, r)
+  }
+
+  /**
+   * @param {Partition} partition
+   * @param {NonNullable<Partition['file']>} file
+   * @param {ParquetWriteResult} result
+   */
+  function record(partition, file, { metadata, report }) {
+    open.delete(partition.dir)
+    files.push({ filename: file.filename, rows: partition.rows, bytes: file.writer.offset, metadata, report })
+  }
+
+  /**
+   * Abort the writers of all open partitions, then rethrow `error`.
+   * @param {any} error
+   * @returns {Promise<never>}
+   */
+  function abortAll(error) {
+    const aborts = Array.from(open.values(), ({ file }) => file?.writer.abort?.(error))
+    open.clear()
+    if (aborts.some(r => r instanceof Promise)) {
+      return Promise.allSettled(aborts).then(() => {
+        throw error
+      })
+    }
+    throw error
+  }
+
+  /**
+   * Close all open partitions, in order.
+   * @returns {void | Promise<void>}
+   */
+  function closeAll() {
+    for (const partition of open.values()) {
+      const r = close(partition)
+      if (r) return r.then(closeAll)
+    }
+  }
+
+  if (isAsync) {
+    return (async () => {
+      try {
+        for await (const row of source) {
+          await push(row)
+        }
+        await closeAll()
+      } catch (error) {
+        await abortAll(error)
+      }
+      return files
+    })()
+  }
+
+  /** @type {Iterator<Record<string, any>>} */
+  const it = source[Symbol.iterator]()
+  /** @returns {void | Promise<void>} */
+  function drain() {
+    for (let next = it.next(); !next.done; next = it.next()) {
+      const r = push(next.value)
+      if (r) return r.then(drain)
+    }
+    return closeAll()
+  }
+  /** @type {void | Promise<void>} */
+  let drained
+  try {
+    drained = drain()
+  } catch (error) {
+    return abortAll(error)
+  }
+  return drained ? drained.then(() => files, abortAll) : files
+}
+
+/**
+ * Format a partition value as a directory name segment, the way hive does:
+ * null, undefined and empty strings become __HIVE_DEFAULT_PARTITION__, dates at midnight UTC
+ * become YYYY-MM-DD, and path separators and other special characters are
+ * percent-escaped.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function partitionValue(value) {
+  if (value === null || value === undefined || value === '') return '__HIVE_DEFAULT_PARTITION__'
+  if (value instanceof Date) {
+    const iso = value.toISOString()
+    return escapePathValue(iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso)
+  }
+  return escapePathValue(String(value))
+}
+
+const escapedChars = new Set('"#%\'*/:=?\\{[]^')
+
+/**
+ * Percent-encode control characters and characters with meaning in paths.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapePathValue(value) {
+  let escaped = ''
+  for (const c of value) {
+    const code = c.charCodeAt(0)
+    if (code < 0x20 || code === 0x7f || escapedChars.has(c)) {
+      escaped += '%' + code.toString(16).toUpperCase().padStart(2, '0')
+    } else {
+      escaped += c
+    }
+  }
+  return escaped
+}
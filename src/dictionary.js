@@ -1,9 +1,10 @@
 import { ByteWriter } from './bytewriter.js'
+import { crc32 } from './crc32.js'
 import { writePageHeader } from './datapage.js'
 import { writePlain } from './plain.js'
 
 /**
- * @import {DecodedArray, Encoding, ParquetType} from 'hyparquet'
+ * @import {DecodedArray, Encoding, ParquetType, SchemaElement} from 'hyparquet'
  * @import {ColumnEncoder, Writer} from './types.js'
  */
 
@@ -29,6 +30,44 @@ export function estimateValueSize(value, type, type_length) {
   return 0
 }
 
+/**
+ * Estimate the encoded byte size of a column value before it is converted,
+ * for sizing row groups by bytes. Values of a primitive column are sized by
+ * {@link estimateValueSize} using the column's physical type. Values it cannot
+ * size (JSON, nested structs and lists, variants) are sized by their contents.
+ *
+ * @param {any} value
+ * @param {SchemaElement} [element] top-level schema element of the column, if known
+ * @returns {number}
+ */
+export function estimateColumnValueSize(value, element) {
+  if (value === null || value === undefined) return 0
+  if (element?.type) {
+    const size = estimateValueSize(value, element.type, element.type_length)
+    if (size) return size
+  }
+  return estimateContentSize(value)
+}
+
+/**
+ * @param {any} value
+ * @returns {number}
+ */
+function estimateContentSize(value) {
+  if (value === null || value === undefined) return 0
+  if (typeof value === 'string') return value.length
+  if (typeof value === 'boolean') return 1
+  if (typeof value === 'number' || typeof value === 'bigint' || value instanceof Date) return 8
+  if (ArrayBuffer.isView(value)) return value.byteLength
+  let size = 0
+  if (Array.isArray(value)) {
+    for (const item of value) size += estimateContentSize(item)
+  } else if (typeof value === 'object') {
+    for (const key in value) size += key.length + estimateContentSize(value[key])
+  }
+  return size
+}
+
 /**
  * FNV-1a hash of a byte array, used to bucket byte-array dictionary values
  * without allocating a string key per value.
@@ -62,6 +101,10 @@ function bytesEqual(a, b) {
  * Decide whether to dictionary-encode a column, and if so build the dictionary
  * and per-row indexes. Returns {} to fall back to plain encoding.
  *
+ * Once the dictionary would exceed pageSize it stops growing, and `indexes`
+ * only covers the values before that point. The remaining values fall back to
+ * another encoding, like parquet-mr does.
+ *
  * @param {DecodedArray} values
  * @param {ParquetType} type
  * @param {number | undefined} type_length
@@ -111,7 +154,7 @@ export function useDictionary(values, type, type_length, encoding, pageSize) {
       }
       if (index === undefined) {
         dictSize += value.byteLength
-        if (pageSize && dictSize > pageSize) return {}
+        if (pageSize && dictSize > pageSize) return fallback(dictionary, indexes, i)
         index = dictionary.length
         dictionary.push(value)
         if (bucket) bucket.push(index)
@@ -121,7 +164,7 @@ export function useDictionary(values, type, type_length, encoding, pageSize) {
       index = valueIndex.get(value)
       if (index === undefined) {
         dictSize += estimateValueSize(value, type, type_length)
-        if (pageSize && dictSize > pageSize) return {}
+        if (pageSize && dictSize > pageSize) return fallback(dictionary, indexes, i)
         index = dictionary.length
         dictionary.push(value)
         valueIndex.set(value, index)
@@ -134,13 +177,28 @@ export function useDictionary(values, type, type_length, encoding, pageSize) {
   return { dictionary, indexes }
 }
 
+/**
+ * Dictionary of the values before `end`, or {} if it is empty.
+ *
+ * @param {any[]} dictionary
+ * @param {number[]} indexes
+ * @param {number} end
+ * @returns {{ dictionary?: any[], indexes?: number[] }}
+ */
+function fallback(dictionary, indexes, end) {
+  if (!dictionary.length) return {}
+  indexes.length = end
+  return { dictionary, indexes }
+}
+
 /**
  * @param {Writer} writer
  * @param {ColumnEncoder} column
  * @param {DecodedArray} dictionary
+ * @returns {number} uncompressed size of the page, header included
  */
 export function writeDictionaryPage(writer, column, dictionary) {
-  const { element, codec, compressors } = column
+  const { element, codec, compressors, pageChecksums } = column
   const { type, type_length } = element
   if (!type) throw new Error(`column ${column.columnName} cannot determine type`)
 
@@ -153,14 +211,29 @@ export function writeDictionaryPage(writer, column, dictionary) {
   const compressedBytes = compressors[codec]?.(dictionaryBytes) ?? dictionaryBytes
 
   // write dictionary page header
+  const headerStart = writer.offset
   writePageHeader(writer, {
     type: 'DICTIONARY_PAGE',
     uncompressed_page_size: dictionaryBytes.byteLength,
     compressed_page_size: compressedBytes.byteLength,
+    crc: pageChecksums ? crc32(compressedBytes) : undefined,
     dictionary_page_header: {
       num_values: dictionary.length,
-      encoding: 'PLAIN',
+      encoding: dictionaryEncoding(column),
     },
   })
+  const headerSize = writer.offset - headerStart
   writer.appendBytes(compressedBytes)
+  return headerSize + dictionaryBytes.byteLength
+}
+
+/**
+ * Encoding of the dictionary page: PLAIN, or the deprecated PLAIN_DICTIONARY
+ * that legacy readers expect alongside v1 data pages.
+ *
+ * @param {ColumnEncoder} column
+ * @returns {Encoding}
+ */
+export function dictionaryEncoding(column) {
+  return column.pageVersion === 1 ? 'PLAIN_DICTIONARY' : 'PLAIN'
 }
@@ -0,0 +1,179 @@
+import { parquetMetadata } from 'hyparquet'
+import { readBloomFilter } from 'hyparquet/src/bloom.js'
+import { BoundaryOrders } from 'hyparquet/src/constants.js'
+import { readOffsetIndex } from 'hyparquet/src/indexes.js'
+import { getSchemaPath } from 'hyparquet/src/schema.js'
+import { deserializeTCompactProtocol } from 'hyparquet/src/thrift.js'
+
+/**
+ * @import {ColumnChunk, ColumnIndex, DataReader, FileMetaData, ParquetParsers} from 'hyparquet'
+ * @import {PageIndexes} from '../src/types.js'
+ */
+
+/**
+ * Parsers that keep statistics in their primitive form, so that metadata read
+ * back from a file re-serializes to the same bytes (no Date or string rounding).
+ *
+ * @type {ParquetParsers}
+ */
+const rawParsers = {
+  timestampFromMilliseconds: millis => millis,
+  timestampFromMicroseconds: micros => micros,
+  timestampFromNanoseconds: nanos => nanos,
+  dateFromDays: days => days,
+  stringFromBytes: bytes => bytes,
+  jsonFromBytes: bytes => bytes,
+  geometryFromBytes: bytes => bytes,
+  geographyFromBytes: bytes => bytes,
+  uuidFromBytes: bytes => bytes,
+}
+
+/**
+ * Read the footer of an existing parquet file: the file metadata, the page
+ * indexes and bloom filters stored after the row groups, and the offset where
+ * the row group data ends.
+ *
+ * Index and bloom filter locations are cleared from the returned column chunks;
+ * writeIndexes and writeBlooms set them again when the footer is rewritten.
+ *
+ * @param {ArrayBuffer} file
+ * @returns {{ metadata: FileMetaData, pageIndexes: PageIndexes[], dataEnd: number }}
+ */
+export function readFooter(file) {
+  const metadata = parquetMetadata(file, { parsers: rawParsers, geoparquet: false })
+  keepLossyStatistics(file, metadata)
+
+  const dataEnd = rowGroupsEnd(metadata)
+  if (dataEnd > file.byteLength) throw new Error('parquet column chunk out of bounds')
+
+  /** @type {PageIndexes[]} */
+  const pageIndexes = []
+  for (const rowGroup of metadata.row_groups) {
+    for (const chunk of rowGroup.columns) {
+      pageIndexes.push(readChunkIndexes(file, chunk))
+    }
+  }
+  return { metadata, pageIndexes, dataEnd }
+}
+
+/**
+ * Restore the encoded min and max statistics of DECIMAL and FLOAT16 columns.
+ * parquetMetadata converts these to numbers, which cannot be encoded back to
+ * the same bytes, so copied row groups would get different statistics.
+ * writeMetadata writes byte statistics of these columns as they are.
+ *
+ * @param {ArrayBuffer} file
+ * @param {FileMetaData} metadata
+ */
+function keepLossyStatistics(file, metadata) {
+  /** @type {{ [key: `field_${number}`]: any } | undefined} */
+  let footer
+  metadata.row_groups.forEach((rowGroup, i) => {
+    rowGroup.columns.forEach(({ meta_data }, j) => {
+      if (!meta_data?.statistics) return
+      const { element } = getSchemaPath(metadata.schema, meta_data.path_in_schema).at(-1) ?? {}
+      if (element?.converted_type !== 'DECIMAL' && element?.logical_type?.type !== 'FLOAT16') return
+      if (!footer) {
+        const footerOffset = file.byteLength - 8 - metadata.metadata_length
+        footer = deserializeTCompactProtocol({ view: new DataView(file, footerOffset, metadata.metadata_length), offset: 0 })
+      }
+      const stats = footer.field_4[i].field_1[j].field_3.field_12
+      meta_data.statistics = {
+        ...meta_data.statistics,
+        max: stats.field_1,
+        min: stats.field_2,
+        max_value: stats.field_5,
+        min_value: stats.field_6,
+      }
+    })
+  })
+}
+
+/**
+ * Offset where the row group data of a file ends, and its page indexes, bloom
+ * filters and footer begin.
+ *
+ * @param {FileMetaData} metadata
+ * @returns {number}
+ */
+export function rowGroupsEnd(metadata) {
+  let dataEnd = 4 // PAR1 header
+  for (const rowGroup of metadata.row_groups) {
+    for (const chunk of rowGroup.columns) {
+      const { start, end } = chunkRange(chunk)
+      if (start < 4) throw new Error('parquet column chunk out of bounds')
+      dataEnd = Math.max(dataEnd, end)
+    }
+  }
+  return dataEnd
+}
+
+/**
+ * Byte range of a column chunk's pages, dictionary page included.
+ *
+ * @param {ColumnChunk} chunk
+ * @returns {{ start: number, end: number }}
+ */
+export function chunkRange(chunk) {
+  if (!chunk.meta_data) throw new Error('parquet column chunk metadata missing')
+  const { data_page_offset, dictionary_page_offset, total_compressed_size } = chunk.meta_data
+  // some writers set dictionary_page_offset to 0 when there is no dictionary
+  const start = Number(dictionary_page_offset && dictionary_page_offset < data_page_offset
+    ? dictionary_page_offset
+    : data_page_offset)
+  return { start, end: start + Number(total_compressed_size) }
+}
+
+/**
+ * Read the column index, offset index and bloom filter of a column chunk, and
+ * detach their locations from the chunk.
+ *
+ * @param {ArrayBuffer} file
+ * @param {ColumnChunk} chunk
+ * @returns {PageIndexes}
+ */
+function readChunkIndexes(file, chunk) {
+  /** @type {PageIndexes} */
+  const indexes = { chunk }
+  if (chunk.column_index_offset !== undefined && chunk.column_index_length) {
+    const view = new DataView(file, Number(chunk.column_index_offset), chunk.column_index_length)
+    indexes.columnIndex = readRawColumnIndex({ view, offset: 0 })
+  }
+  if (chunk.offset_index_offset !== undefined && chunk.offset_index_length) {
+    const view = new DataView(file, Number(chunk.offset_index_offset), chunk.offset_index_length)
+    indexes.offsetIndex = readOffsetIndex({ view, offset: 0 })
+  }
+  const meta = chunk.meta_data
+  if (meta?.bloom_filter_offset !== undefined) {
+    const offset = Number(meta.bloom_filter_offset)
+    const view = new DataView(file, offset, meta.bloom_filter_length ?? file.byteLength - offset)
+    indexes.bloomFilter = readBloomFilter({ view, offset: 0 })?.blocks
+    delete meta.bloom_filter_offset
+    delete meta.bloom_filter_length
+  }
+  delete chunk.column_index_offset
+  delete chunk.column_index_length
+  delete chunk.offset_index_offset
+  delete chunk.offset_index_length
+  return indexes
+}
+
+/**
+ * Read a column index, keeping min and max values as the encoded bytes that
+ * writeIndexes expects.
+ *
+ * @param {DataReader} reader
+ * @returns {ColumnIndex}
+ */
+function readRawColumnIndex(reader) {
+  const thrift = deserializeTCompactProtocol(reader)
+  return {
+    null_pages: thrift.field_1,
+    min_values: thrift.field_2,
+    max_values: thrift.field_3,
+    boundary_order: BoundaryOrders[thrift.field_4],
+    null_counts: thrift.field_5,
+    repetition_level_histograms: thrift.field_6,
+    definition_level_histograms: thrift.field_7,
+  }
+}
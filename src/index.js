@@ -1,5 +1,10 @@
-export { parquetWrite, parquetWriteBuffer } from './write.js'
+export { parquetAppend, parquetWrite, parquetWriteBuffer } from './write.js'
 export { parquetWriteRows } from './write-rows.js'
+export { parquetConcat } from './concat.js'
+export { RollingParquetWriter } from './rolling.js'
+export { parquetWritePartitions } from './dataset.js'
+export { parquetCommonMetadata, parquetSummaryMetadata } from './summary.js'
+export { parquetTransform, parquetWriteStream } from './stream.js'
 export { autoSchemaElement, schemaFromColumnData } from './schema.js'
 export { ByteWriter } from './bytewriter.js'
 export { ParquetWriter } from './parquet-writer.js'
@@ -9,7 +14,19 @@ export { geojsonToWkb } from './wkb.js'
  * @typedef {import('hyparquet').KeyValue} KeyValue
  * @typedef {import('hyparquet').SchemaElement} SchemaElement
  * @typedef {import('../src/types.d.ts').BasicType} BasicType
+ * @typedef {import('../src/types.d.ts').ClusterBy} ClusterBy
+ * @typedef {import('../src/types.d.ts').ColumnReport} ColumnReport
  * @typedef {import('../src/types.d.ts').ColumnSource} ColumnSource
+ * @typedef {import('../src/types.d.ts').PageVersion} PageVersion
+ * @typedef {import('../src/types.d.ts').ParquetAppendOptions} ParquetAppendOptions
+ * @typedef {import('../src/types.d.ts').ParquetConcatOptions} ParquetConcatOptions
  * @typedef {import('../src/types.d.ts').ParquetWriteOptions} ParquetWriteOptions
+ * @typedef {import('../src/types.d.ts').ParquetWriteEvent} ParquetWriteEvent
+ * @typedef {import('../src/types.d.ts').ParquetWritePartitionsOptions} ParquetWritePartitionsOptions
+ * @typedef {import('../src/types.d.ts').ParquetWriteReport} ParquetWriteReport
+ * @typedef {import('../src/types.d.ts').ParquetWriteResult} ParquetWriteResult
+ * @typedef {import('../src/types.d.ts').RollingFile} RollingFile
+ * @typedef {import('../src/types.d.ts').RollingParquetWriterOptions} RollingParquetWriterOptions
+ * @typedef {import('../src/types.d.ts').SortColumn} SortColumn
  * @typedef {import('../src/types.d.ts').Writer} Writer
  */
@@ -36,6 +36,8 @@ function writeColumnIndex(writer, columnChunk, columnIndex) {
     field_3: columnIndex.max_values,
     field_4: BoundaryOrders.indexOf(columnIndex.boundary_order),
     field_5: columnIndex.null_counts,
+    field_6: columnIndex.repetition_level_histograms,
+    field_7: columnIndex.definition_level_histograms,
   })
   columnChunk.column_index_offset = BigInt(columnIndexOffset)
   columnChunk.column_index_length = writer.offset - columnIndexOffset
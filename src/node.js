@@ -1,51 +1,373 @@
 import fs from 'fs'
+import path from 'path'
+import process from 'process'
+import { parquetMetadata } from 'hyparquet'
 import { ByteWriter } from './bytewriter.js'
-import { parquetWrite } from './write.js'
+import { parquetWritePartitions } from './dataset.js'
+import { rowGroupsEnd } from './footer.js'
+import { parquetCommonMetadata, parquetSummaryMetadata } from './summary.js'
+import { checkAppendColumns, parquetAppend, parquetWrite } from './write.js'
 
 export * from './index.js'
 
 /**
- * @import {ParquetWriteOptions, Writer} from '../src/types.js'
+ * @import {FileMetaData, KeyValue} from 'hyparquet'
+ * @import {ParquetAppendOptions, ParquetWriteOptions, ParquetWritePartitionsOptions, RollingFile, Writer} from '../src/types.js'
  */
 
 /**
  * Write data as parquet to a local file.
  *
- * @param {Omit<ParquetWriteOptions, 'writer'> & { filename: string }} options
+ * With `atomic`, the file is written to a temporary file and only renamed to
+ * `filename` once complete, so readers never see a partial file. If writing
+ * fails or `signal` is aborted, the partial file (or the temporary file) is
+ * removed.
+ *
+ * @param {Omit<ParquetWriteOptions, 'writer'> & { filename: string, atomic?: boolean }} options
  */
 export function parquetWriteFile(options) {
-  const { filename, ...rest } = options
-  const writer = fileWriter(filename)
-  parquetWrite({ ...rest, writer })
+  const { filename, atomic, ...rest } = options
+  const writer = fileWriter(filename, { atomic })
+  try {
+    parquetWrite({ ...rest, writer })
+  } catch (error) {
+    writer.abort()
+    throw error
+  }
+}
+
+/**
+ * Write data as parquet to a local file without blocking the event loop.
+ * Each row group is written to disk before the next one is encoded.
+ * `atomic` works as in {@link parquetWriteFile}.
+ *
+ * @param {Omit<ParquetWriteOptions, 'writer'> & { filename: string, atomic?: boolean, chunkSize?: number }} options
+ * @returns {Promise<void>}
+ */
+export async function parquetWriteFileAsync(options) {
+  const { filename, atomic, chunkSize, ...rest } = options
+  const writer = asyncFileWriter(filename, { atomic, chunkSize })
+  try {
+    await parquetWrite({ ...rest, writer })
+  } catch (error) {
+    await writer.abort()
+    throw error
+  }
+}
+
+/**
+ * Append row groups to an existing local parquet file.
+ *
+ * The old footer is truncated in place and the new row groups are written
+ * after the existing ones, so the existing data is neither copied nor re-encoded.
+ * The columns are checked against the file before it is touched, and if
+ * writing fails or `signal` is aborted, the original footer is restored.
+ *
+ * @param {Omit<ParquetAppendOptions, 'writer' | 'file'> & { filename: string }} options
+ */
+export function parquetAppendFile(options) {
+  const { filename, columnData, schema, ...rest } = options
+  const contents = fs.readFileSync(filename)
+  const file = contents.buffer.slice(contents.byteOffset, contents.byteOffset + contents.byteLength)
+  const metadata = parquetMetadata(file)
+  const resolved = checkAppendColumns(metadata.schema, columnData, schema)
+
+  const dataEnd = rowGroupsEnd(metadata)
+  fs.truncateSync(filename, dataEnd)
+  const writer = fileWriter(filename, { append: true })
+  try {
+    parquetAppend({ ...rest, columnData: resolved, schema, file, writer })
+  } catch (error) {
+    // truncate the new row groups and put the original footer back
+    writer.abort()
+    fs.appendFileSync(filename, contents.subarray(dataEnd))
+    throw error
+  }
+}
+
+/**
+ * Write rows as a hive-style partitioned dataset under a local directory,
+ * e.g. `baseDir/date=2026-10-01/country=US/part-0.parquet`.
+ * See {@link parquetWritePartitions} for the options.
+ *
+ * With `summary`, also writes the `_metadata` and `_common_metadata` summary
+ * files to baseDir, see {@link parquetWriteSummaryFiles}.
+ *
+ * @param {Omit<ParquetWritePartitionsOptions, 'createWriter'> & { baseDir: string, summary?: boolean }} options
+ * @returns {RollingFile[] | Promise<RollingFile[]>} files written, relative to baseDir
+ */
+export function parquetWriteDataset(options) {
+  const { baseDir, summary = false, ...rest } = options
+  const written = parquetWritePartitions({
+    ...rest,
+    createWriter(filename) {
+      const fullPath = path.join(baseDir, filename)
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+      return fileWriter(fullPath)
+    },
+  })
+  /**
+   * @param {RollingFile[]} files
+   * @returns {RollingFile[]}
+   */
+  function writeSummary(files) {
+    if (summary && files.length) parquetWriteSummaryFiles({ baseDir, files })
+    return files
+  }
+  return written instanceof Promise ? written.then(writeSummary) : writeSummary(written)
+}
+
+/**
+ * Write the `_metadata` and `_common_metadata` summary files of a dataset to
+ * a local directory. `files` are the footers of the dataset files, with
+ * filenames relative to baseDir, as returned by parquetWriteDataset or listed
+ * in RollingParquetWriter.files.
+ *
+ * @param {object} options
+ * @param {string} options.baseDir
+ * @param {{ filename: string, metadata: FileMetaData }[]} options.files
+ * @param {KeyValue[]} [options.kvMetadata]
+ */
+export function parquetWriteSummaryFiles({ baseDir, files, kvMetadata }) {
+  parquetSummaryMetadata({ writer: fileWriter(path.join(baseDir, '_metadata')), files, kvMetadata })
+  parquetCommonMetadata({ writer: fileWriter(path.join(baseDir, '_common_metadata')), files, kvMetadata })
 }
 
 /**
  * Buffered file writer.
  * Writes data to a local file in chunks using node fs.
  *
+ * With `atomic`, data is written to a temporary file next to `filename`, which
+ * is synced to disk and renamed over `filename` on finish(). The directory is
+ * then synced so the rename itself survives a crash, except on Windows where
+ * directories cannot be synced. A process that dies midway leaves the previous
+ * file (or no file) rather than a truncated one.
+ *
+ * abort() closes the file and removes the partial file (the temporary file if
+ * atomic). When appending, it truncates the file back to its original length
+ * instead. It does nothing once the writer has finished.
+ *
  * @param {string} filename
- * @returns {Writer}
+ * @param {object} [options]
+ * @param {boolean} [options.append] continue an existing file instead of overwriting it
+ * @param {boolean} [options.atomic] write to a temporary file and rename on finish
+ * @param {number} [options.chunkSize] bytes to buffer before writing to disk, default 1mb
+ * @returns {Writer & { abort(): void }}
  */
-export function fileWriter(filename) {
+export function fileWriter(filename, { append = false, atomic = false, chunkSize = 1_000_000 } = {}) {
+  if (append && atomic) throw new Error('fileWriter cannot both append and write atomically')
   const writer = new ByteWriter()
-  const chunkSize = 1_000_000 // 1mb
+  const target = atomic ? tempFilename(filename) : filename
 
   // create a new file or overwrite existing one
-  fs.writeFileSync(filename, '', { flag: 'w' })
+  const fd = fs.openSync(target, append ? 'a' : 'w')
+  let closed = false
+  let finished = false
+  // offsets continue from the end of the existing file
+  const startSize = append ? fs.fstatSync(fd).size : 0
+  writer.offset = startSize
 
   // flush current buffer to file
   function flush() {
-    const chunk = new Uint8Array(writer.buffer, 0, writer.index)
-    // TODO: async
-    fs.writeFileSync(filename, chunk, { flag: 'a' })
+    // blocking, see asyncFileWriter
+    let written = 0
+    while (written < writer.index) {
+      written += fs.writeSync(fd, new Uint8Array(writer.buffer, written, writer.index - written))
+    }
+    writer.index = 0
+  }
+
+  writer.ensure = chunkedEnsure(writer, chunkSize, flush)
+  writer.getBuffer = function() {
+    throw new Error('getBuffer not supported for FileWriter')
+  }
+  writer.getBytes = function() {
+    throw new Error('getBytes not supported for FileWriter')
+  }
+  writer.finish = function() {
+    flush()
+    if (atomic) fs.fsyncSync(fd)
+    closed = true
+    fs.closeSync(fd)
+    if (atomic) {
+      fs.renameSync(target, filename)
+      syncDirectory(filename)
+    }
+    finished = true
+  }
+  return Object.assign(writer, {
+    abort() {
+      if (finished) return
+      if (!closed) {
+        closed = true
+        fs.closeSync(fd)
+      }
+      if (append) fs.truncateSync(target, startSize)
+      else fs.rmSync(target, { force: true })
+    },
+  })
+}
+
+/**
+ * Asynchronous buffered file writer.
+ * Writes data to a local file in chunks using node fs.promises, without
+ * blocking the event loop.
+ *
+ * Chunks are written in the background as the buffer fills, and flush()
+ * returns a promise that resolves once everything buffered so far is on disk.
+ * ParquetWriter calls flush() after each row group and waits for it, so at most
+ * one row group is held in memory ahead of the disk.
+ *
+ * `atomic` and abort() work as in {@link fileWriter}.
+ *
+ * @param {string} filename
+ * @param {object} [options]
+ * @param {boolean} [options.atomic] write to a temporary file and rename on finish
+ * @param {number} [options.chunkSize] bytes to buffer before writing to disk, default 1mb
+ * @returns {Writer & { abort(): Promise<void> }}
+ */
+export function asyncFileWriter(filename, { atomic = false, chunkSize = 1_000_000 } = {}) {
+  /** @type {ByteWriter & Writer} */
+  const writer = new ByteWriter()
+  const target = atomic ? tempFilename(filename) : filename
+
+  // create a new file or overwrite existing one
+  const handle = fs.promises.open(target, 'w')
+  /** @type {any} */
+  let error
+  // a failed open or write is caught here and rethrown by the next flush,
+  // rather than surfacing as an unhandled rejection
+  /** @type {Promise<void>} */
+  let pending = handle.then(() => undefined, e => { error = e })
+  let closed = false
+  let finished = false
+
+  /**
+   * Queue the current buffer to be written to the file. Errors are kept for
+   * the next flush, so nothing here can reject unhandled.
+   */
+  function queue() {
+    if (!writer.index) return
+    const chunk = new Uint8Array(writer.buffer.slice(0, writer.index))
     writer.index = 0
+    pending = pending.then(async () => {
+      if (error) return
+      const file = await handle
+      let written = 0
+      while (written < chunk.length) {
+        const { bytesWritten } = await file.write(chunk, written)
+        written += bytesWritten
+      }
+    }).catch(e => { error = e })
+  }
+
+  /**
+   * Queue the current buffer, and resolve once everything queued is written.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    queue()
+    return pending.then(() => {
+      if (error) throw error
+    })
   }
 
   /**
-   * Override the ensure method
-   * @param {number} size
+   * Close the file once pending writes settle, at most once.
+   * @returns {Promise<void>}
    */
-  writer.ensure = function(size) {
+  async function close() {
+    if (closed) return
+    closed = true
+    await pending
+    await handle.then(file => file.close(), () => undefined)
+  }
+
+  writer.ensure = chunkedEnsure(writer, chunkSize, queue)
+  writer.getBuffer = function() {
+    throw new Error('getBuffer not supported for FileWriter')
+  }
+  writer.getBytes = function() {
+    throw new Error('getBytes not supported for FileWriter')
+  }
+  writer.flush = flush
+  writer.finish = async function() {
+    try {
+      await flush()
+      if (atomic) await (await handle).sync()
+    } finally {
+      await close()
+    }
+    if (atomic) {
+      await fs.promises.rename(target, filename)
+      await syncDirectoryAsync(filename)
+    }
+    finished = true
+  }
+  return Object.assign(writer, {
+    async abort() {
+      if (finished) return
+      await close()
+      await fs.promises.rm(target, { force: true })
+    },
+  })
+}
+
+/**
+ * Name for a hidden temporary file next to `filename`, so that it is skipped
+ * by tools that list the directory and can be renamed over `filename` atomically.
+ *
+ * @param {string} filename
+ * @returns {string}
+ */
+function tempFilename(filename) {
+  const suffix = Math.random().toString(36).slice(2, 10)
+  return path.join(path.dirname(filename), `.${path.basename(filename)}.${suffix}.tmp`)
+}
+
+/**
+ * Sync the directory containing `filename`, so that a rename into it is on
+ * disk. Skipped on Windows, which cannot open a directory to sync it.
+ *
+ * @param {string} filename
+ */
+function syncDirectory(filename) {
+  if (process.platform === 'win32') return
+  const fd = fs.openSync(path.dirname(filename), 'r')
+  try {
+    fs.fsyncSync(fd)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * Async version of {@link syncDirectory}.
+ *
+ * @param {string} filename
+ * @returns {Promise<void>}
+ */
+async function syncDirectoryAsync(filename) {
+  if (process.platform === 'win32') return
+  const dir = await fs.promises.open(path.dirname(filename), 'r')
+  try {
+    await dir.sync()
+  } finally {
+    await dir.close()
+  }
+}
+
+/**
+ * Build an ensure method for a buffered writer that hands the buffer to
+ * `flush` once it holds more than `chunkSize` bytes, and grows it otherwise.
+ *
+ * @param {ByteWriter} writer
+ * @param {number} chunkSize
+ * @param {() => void} flush
+ * @returns {(size: number) => void}
+ */
+function chunkedEnsure(writer, chunkSize, flush) {
+  return function(size) {
     if (writer.index > chunkSize) {
       flush()
     }
@@ -57,14 +379,4 @@ export function fileWriter(filename) {
       writer.view = new DataView(writer.buffer)
     }
   }
-  writer.getBuffer = function() {
-    throw new Error('getBuffer not supported for FileWriter')
-  }
-  writer.getBytes = function() {
-    throw new Error('getBytes not supported for FileWriter')
-  }
-  writer.finish = function() {
-    flush()
-  }
-  return writer
 }
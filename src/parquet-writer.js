@@ -1,15 +1,19 @@
 import { getSchemaPath } from 'hyparquet/src/schema.js'
 import { writeBlooms } from './bloom.js'
-import { writeColumn } from './column.js'
+import { clusterOrder } from './cluster.js'
+import { compareValues, writeColumn } from './column.js'
+import { estimateColumnValueSize } from './dictionary.js'
 import { encodeNestedValues } from './dremel.js'
+import { chunkRange, readFooter } from './footer.js'
 import { writeIndexes } from './indexes.js'
 import { writeMetadata } from './metadata.js'
+import { schemaEquals } from './schema.js'
 import { snappyCompress } from './snappy.js'
 import { encodeVariantColumn } from './variant.js'
 
 /**
- * @import {ColumnChunk, CompressionCodec, FileMetaData, KeyValue, RowGroup, SchemaElement, SchemaTree} from 'hyparquet'
- * @import {ColumnEncoder, ColumnSource, Compressors, PageIndexes, Writer} from '../src/types.js'
+ * @import {ColumnChunk, CompressionCodec, DecodedArray, FileMetaData, KeyValue, RowGroup, SchemaElement, SchemaTree} from 'hyparquet'
+ * @import {ClusterBy, ColumnEncoder, ColumnReport, ColumnSource, Compressors, PageIndexes, PageVersion, ParquetWriteEvent, ParquetWriteResult, SortColumn, Writer} from '../src/types.js'
  */
 
 /**
@@ -24,8 +28,19 @@ export class ParquetWriter {
    * @param {Compressors} [options.compressors]
    * @param {boolean} [options.statistics]
    * @param {KeyValue[]} [options.kvMetadata]
+   * @param {FileMetaData} [options.metadata] existing file to continue, see {@link ParquetWriter.open}
+   * @param {Omit<ColumnSource, 'data'>[]} [options.columns] column options for appendRow, default the top-level schema columns
+   * @param {number | number[]} [options.rowGroupSize] rows per row group for appendRow
+   * @param {number} [options.rowGroupBytes] estimated bytes per row group for appendRow
+   * @param {number} [options.pageSize] page size for appendRow
+   * @param {(event: ParquetWriteEvent) => void} [options.onProgress] called as row groups, column chunks and the footer are written
+   * @param {SortColumn[]} [options.sortBy] sort the rows of each row group, default for write()
+   * @param {ClusterBy} [options.clusterBy] cluster the rows of each write, default for write()
+   * @param {PageVersion} [options.pageVersion] data page version, default 2
+   * @param {number} [options.pageRowLimit] max rows per page, default 20000
+   * @param {boolean} [options.pageChecksums] write a CRC-32 of each page in its header, default false
    */
-  constructor({ writer, schema, codec = 'SNAPPY', compressors, statistics = true, kvMetadata }) {
+  constructor({ writer, schema, codec = 'SNAPPY', compressors, statistics = true, kvMetadata, metadata, columns, rowGroupBytes, rowGroupSize = rowGroupBytes ? Infinity : [1000, 100000], pageSize, onProgress, sortBy, clusterBy, pageVersion = 2, pageRowLimit = 20000, pageChecksums = false }) {
     this.writer = writer
     /** @type {SchemaElement[]} */
     this.schema = schema
@@ -36,16 +51,92 @@ export class ParquetWriter {
     this.statistics = statistics
     /** @type {KeyValue[] | undefined} */
     this.kvMetadata = kvMetadata
+    this.onProgress = onProgress
+    this.sortBy = sortBy
+    this.clusterBy = clusterBy
+    this.pageVersion = pageVersion
+    this.pageRowLimit = pageRowLimit
+    this.pageChecksums = pageChecksums
+
+    this.created_by = metadata?.created_by ?? 'hyparquet'
 
     /** @type {RowGroup[]} */
-    this.row_groups = []
-    this.num_rows = 0n
+    this.row_groups = metadata ? [...metadata.row_groups] : []
+    this.num_rows = metadata?.num_rows ?? 0n
 
     /** @type {PageIndexes[]} */
     this.pendingIndexes = []
 
-    // write header PAR1
-    this.writer.appendUint32(0x31524150)
+    // rows buffered by appendRow
+    this.columns = columns ?? getSchemaPath(schema, [])[0].children.map(child => ({ name: child.element.name }))
+    this.fields = this.columns.map(column => column.name)
+    this.rowGroupSize = rowGroupSize
+    this.rowGroupBytes = rowGroupBytes
+    this.pageSize = pageSize
+    /** @type {Record<string, any>[]} */
+    this.rowBuffer = []
+    this.rowBufferBytes = 0
+    this.rowGroupIndex = 0
+    /** @type {(SchemaElement | undefined)[] | undefined} */
+    this.rowElements = undefined
+    /** @type {Promise<void> | undefined} */
+    this.rowsPending = undefined
+
+    // row group begun by beginRowGroup
+    /** @type {{ start: number, numRows?: number, chunks: Map<string, ColumnChunk[]> } | undefined} */
+    this.openRowGroup = undefined
+
+    // write header PAR1, unless continuing a file that already has one
+    if (!metadata) this.writer.appendUint32(0x31524150)
+  }
+
+  /**
+   * Open an existing parquet file for appending row groups.
+   *
+   * Reads the footer of `file`, drops it, and returns a writer positioned after
+   * the last existing row group. New row groups are written after it, and
+   * finish() writes a merged footer with the page indexes and bloom filters of
+   * both the existing and the new row groups.
+   *
+   * If `writer` is empty, the existing row group data is copied into it first.
+   * A writer already positioned at the end of the existing row group data (the
+   * original file truncated in place) continues without copying.
+   *
+   * @param {object} options
+   * @param {Writer} options.writer
+   * @param {ArrayBuffer} options.file existing parquet file
+   * @param {SchemaElement[]} [options.schema] expected schema, must match the file
+   * @param {CompressionCodec} [options.codec]
+   * @param {Compressors} [options.compressors]
+   * @param {boolean} [options.statistics]
+   * @param {KeyValue[]} [options.kvMetadata] merged into the existing key-value metadata
+   * @param {(event: ParquetWriteEvent) => void} [options.onProgress]
+   * @param {SortColumn[]} [options.sortBy]
+   * @param {ClusterBy} [options.clusterBy]
+   * @param {PageVersion} [options.pageVersion]
+   * @param {number} [options.pageRowLimit]
+   * @param {boolean} [options.pageChecksums]
+   * @returns {ParquetWriter}
+   */
+  static open({ writer, file, schema, kvMetadata, ...options }) {
+    const { metadata, pageIndexes, dataEnd } = readFooter(file)
+    if (schema && !schemaEquals(schema, metadata.schema)) {
+      throw new Error('parquet schema does not match existing file')
+    }
+    if (writer.offset === 0) {
+      writer.appendBytes(new Uint8Array(file, 0, dataEnd))
+    } else if (writer.offset !== dataEnd) {
+      throw new Error(`parquet append expected writer at offset 0 or ${dataEnd}, got ${writer.offset}`)
+    }
+    const pq = new ParquetWriter({
+      writer,
+      schema: metadata.schema,
+      kvMetadata: mergeKeyValues(metadata.key_value_metadata, kvMetadata),
+      metadata,
+      ...options,
+    })
+    pq.pendingIndexes = pageIndexes
+    return pq
   }
 
   /**
@@ -54,83 +145,171 @@ export class ParquetWriter {
    * Calls writer.flush() (if defined) after each row group; if it returns a
    * Promise, subsequent row groups await it before encoding more data.
    *
+   * With `rowGroupBytes`, a row group is also closed once the estimated encoded
+   * size of its rows reaches that many bytes, and `rowGroupSize` defaults to no
+   * row limit.
+   *
+   * With `sortBy`, the rows of each row group are sorted before encoding, in the
+   * same order as column statistics, and recorded as the row group's
+   * sorting_columns. Sorting is stable, and only reorders rows within a group.
+   *
+   * With `clusterBy`, all the rows of this write are first reordered along a
+   * Z-order or Hilbert curve over the given columns, so that each row group and
+   * page covers a compact range of every clustered column. Clustering copies the
+   * columns, and is applied before the rows are split into row groups (and
+   * before `sortBy`, which takes precedence within each group).
+   *
+   * Rows buffered by appendRow are written first.
+   *
+   * `signal` is checked before each row group and each column chunk. Once it is
+   * aborted, the write stops, calls writer.abort() and throws (or rejects with)
+   * the signal's reason, an AbortError by default. See {@link ParquetWriter#abort}.
+   *
+   * @param {object} options
+   * @param {ColumnSource[]} options.columnData
+   * @param {number} [options.rowGroupBytes]
+   * @param {number | number[]} [options.rowGroupSize]
+   * @param {number} [options.pageSize]
+   * @param {AbortSignal} [options.signal]
+   * @param {SortColumn[]} [options.sortBy] default the sortBy option of the constructor
+   * @param {ClusterBy} [options.clusterBy] default the clusterBy option of the constructor
+   * @returns {void | Promise<void>}
+   */
+  write(options) {
+    this.checkRowGroupEnded()
+    const r = this.flushRows()
+    return r ? r.then(() => this.writeColumns(options)) : this.writeColumns(options)
+  }
+
+  /**
+   * Append one row object. Rows are buffered, and written as a row group once
+   * `rowGroupSize` rows (or `rowGroupBytes` estimated bytes) are buffered.
+   *
+   * Returns a promise while a row group is being written to an async writer.
+   * Waiting for it gives backpressure, but rows appended in the meantime are
+   * buffered and written in order either way.
+   *
+   * @param {Record<string, any>} row
+   * @returns {void | Promise<void>}
+   */
+  appendRow(row) {
+    this.rowBuffer.push(row)
+    if (this.rowGroupBytes) {
+      this.rowElements ??= columnElements(this.schema, this.fields)
+      this.rowBufferBytes += estimateRowSize(row, this.fields, this.rowElements)
+    }
+    if (this.rowBuffer.length >= groupSize(this.rowGroupSize, this.rowGroupIndex) ||
+      this.rowGroupBytes !== undefined && this.rowBufferBytes >= this.rowGroupBytes) {
+      return this.flushRows()
+    }
+  }
+
+  /**
+   * Append an array of row objects, see {@link ParquetWriter#appendRow}.
+   *
+   * @param {Record<string, any>[]} rows
+   * @returns {void | Promise<void>}
+   */
+  appendRows(rows) {
+    /**
+     * Append rows from index `start`, resuming after each async flush.
+     * @param {number} start
+     * @returns {void | Promise<void>}
+     */
+    const appendFrom = start => {
+      for (let i = start; i < rows.length; i++) {
+        const r = this.appendRow(rows[i])
+        if (r) return r.then(() => appendFrom(i + 1))
+      }
+    }
+    return appendFrom(0)
+  }
+
+  /**
+   * Write the rows buffered by appendRow as a row group, even if it is not full.
+   * Returns a promise until all row groups written from buffered rows are flushed.
+   *
+   * @returns {void | Promise<void>}
+   */
+  flushRows() {
+    const rows = this.rowBuffer
+    if (rows.length) {
+      this.checkRowGroupEnded()
+      this.rowBuffer = []
+      this.rowBufferBytes = 0
+      this.rowGroupIndex++
+      const cols = transposeWindow(rows, this.fields, 0, rows.length)
+      /** @type {ColumnSource[]} */
+      const columnData = this.columns.map((spec, c) => ({ ...spec, data: cols[c] }))
+      const write = () => this.writeColumns({ columnData, rowGroupSize: rows.length, pageSize: this.pageSize })
+      // row groups are written in order, after any that are still flushing
+      const r = this.rowsPending ? this.rowsPending.then(write) : write()
+      if (r) {
+        /** @type {Promise<void>} */
+        const pending = r.then(() => {
+          if (this.rowsPending === pending) this.rowsPending = undefined
+        })
+        this.rowsPending = pending
+      }
+    }
+    return this.rowsPending
+  }
+
+  /**
+   * Write column data as row groups, see {@link ParquetWriter#write}.
+   *
    * @param {object} options
    * @param {ColumnSource[]} options.columnData
+   * @param {number} [options.rowGroupBytes]
    * @param {number | number[]} [options.rowGroupSize]
    * @param {number} [options.pageSize]
+   * @param {AbortSignal} [options.signal]
+   * @param {SortColumn[]} [options.sortBy]
+   * @param {ClusterBy} [options.clusterBy]
    * @returns {void | Promise<void>}
    */
-  write({ columnData, rowGroupSize = [1000, 100000], pageSize = 1048576 }) {
+  writeColumns({ columnData, rowGroupBytes, rowGroupSize = rowGroupBytes ? Infinity : [1000, 100000], pageSize = 1048576, signal, sortBy = this.sortBy, clusterBy = this.clusterBy }) {
     const columnDataRows = columnData[0]?.data?.length || 0
+    if (clusterBy) columnData = clusterColumns(columnData, clusterBy)
+    const sorting_columns = sortBy?.length ? sortingColumns(this.schema, sortBy) : undefined
+    const sortKeys = sortBy?.map(({ column, descending = false, nullsFirst = false }) => {
+      const source = columnData.find(({ name }) => name === column)
+      if (!source) throw new Error(`parquet sortBy column not found: ${column}`)
+      return { data: source.data, descending, nullsFirst }
+    })
+    const rowBytes = rowGroupBytes ? this.estimateRowBytes(columnData, columnDataRows) : undefined
     /** @type {Promise<void> | undefined} */
     let pending
-    for (const { groupStartIndex, groupSize } of groupIterator({ columnDataRows, rowGroupSize })) {
+    for (const { groupStartIndex, groupSize } of groupIterator({ columnDataRows, rowGroupSize, rowGroupBytes, rowBytes })) {
       const writeGroup = () => {
+        if (signal?.aborted) return this.abort(signal.reason)
         const groupStartOffset = this.writer.offset
+        const rowGroup = this.row_groups.length
+        this.onProgress?.({ type: 'rowGroupStarted', rowGroup, rows: groupSize })
         /** @type {ColumnChunk[]} */
         const columns = []
 
-        // write columns
-        for (let j = 0; j < columnData.length; j++) {
-          const { name, data, encoding, codec = this.codec, columnIndex = false, offsetIndex = true, shredding, bloomFilter } = columnData[j]
-
-          // Spec: if ColumnIndex is present, OffsetIndex must also be present
-          if (columnIndex && !offsetIndex) {
-            throw new Error('parquet ColumnIndex cannot be present without OffsetIndex')
-          }
-          if (data.length !== columnDataRows) {
+        const order = sortKeys?.length ? sortOrder(sortKeys, groupStartIndex, groupSize) : undefined
+        for (const column of columnData) {
+          if (signal?.aborted) return this.abort(signal.reason)
+          if (column.data.length !== columnDataRows) {
             throw new Error('parquet columns must have the same length')
           }
-
-          const groupData = data.slice(groupStartIndex, groupStartIndex + groupSize)
-          const columnPath = getSchemaPath(this.schema, [name])
-          const leafPaths = getLeafSchemaPaths(columnPath)
-
-          // For VARIANT logical type, encode JS values into {metadata, value} structs
-          const columnElement = columnPath.at(-1)?.element
-          const shreddingConfig = shredding && shredding !== true ? shredding : undefined
-          const isVariant = columnElement?.logical_type?.type === 'VARIANT'
-          const isRequired = columnElement?.repetition_type === 'REQUIRED'
-          const rows = isVariant
-            ? encodeVariantColumn(Array.from(groupData), shreddingConfig, { name, required: isRequired })
-            : groupData
-
-          for (const leafPath of leafPaths) {
-            const schemaPath = leafPath.map(node => node.element)
-
-            /** @type {ColumnEncoder} */
-            const column = {
-              columnName: schemaPath.slice(1).map(s => s.name).join('.'),
-              element: schemaPath[schemaPath.length - 1],
-              schemaPath,
-              codec,
-              compressors: this.compressors,
-              stats: this.statistics,
-              pageSize,
-              columnIndex,
-              offsetIndex,
-              encoding,
-              bloomFilter,
-            }
-
-            const pageData = encodeNestedValues(leafPath, rows)
-            const result = writeColumn({
-              writer: this.writer,
-              column,
-              pageData,
-            })
-
-            columns.push(result.chunk)
-            this.pendingIndexes.push(result)
-          }
+          const data = order
+            ? permute(column.data, groupStartIndex, order)
+            : column.data.slice(groupStartIndex, groupStartIndex + groupSize)
+          columns.push(...this.encodeColumn({ ...column, data }, pageSize))
         }
 
+        const bytes = this.writer.offset - groupStartOffset
         this.num_rows += BigInt(groupSize)
         this.row_groups.push({
           columns,
-          total_byte_size: BigInt(this.writer.offset - groupStartOffset),
+          total_byte_size: BigInt(bytes),
           num_rows: BigInt(groupSize),
+          sorting_columns,
         })
+        this.onProgress?.({ type: 'rowGroupFinished', rowGroup, rows: groupSize, bytes })
         return this.writer.flush?.()
       }
       if (pending) {
@@ -144,37 +323,493 @@ export class ParquetWriter {
   }
 
   /**
-   * Finish writing the file.
+   * Begin a row group that is written one column at a time, for tables too wide
+   * to hold the data of every column at once. Write each top-level column of
+   * the schema with {@link ParquetWriter#writeColumnChunk}, then close the row
+   * group with {@link ParquetWriter#endRowGroup}.
+   *
+   * Rows buffered by appendRow are written first. If that returns a promise,
+   * wait for it before writing column chunks.
+   *
+   * @returns {void | Promise<void>}
+   */
+  beginRowGroup() {
+    this.checkRowGroupEnded()
+    if (this.sortBy?.length) throw new Error('parquet sortBy is not supported for row groups written column by column')
+    if (this.clusterBy) throw new Error('parquet clusterBy is not supported for row groups written column by column')
+    const begin = () => {
+      this.openRowGroup = { start: this.writer.offset, chunks: new Map() }
+      this.onProgress?.({ type: 'rowGroupStarted', rowGroup: this.row_groups.length })
+    }
+    const r = this.flushRows()
+    return r ? r.then(begin) : begin()
+  }
+
+  /**
+   * Encode the data of one top-level column of the current row group, see
+   * {@link ParquetWriter#beginRowGroup}. Once this returns, the encoded bytes
+   * are in the writer and `data` can be released.
    *
+   * Column options default to the matching entry of the `columns` option.
+   * Calls writer.flush() (if defined) afterwards, and returns its promise.
+   *
+   * @param {string} name top-level column name
+   * @param {DecodedArray} data column values, one per row
+   * @param {Omit<ColumnSource, 'name' | 'data'>} [options]
    * @returns {void | Promise<void>}
    */
+  writeColumnChunk(name, data, options) {
+    const group = this.openRowGroup
+    if (!group) throw new Error('parquet row group not begun')
+    const { children } = getSchemaPath(this.schema, [])[0]
+    if (!children.some(child => child.element.name === name)) {
+      throw new Error(`parquet column not in schema: ${name}`)
+    }
+    if (group.chunks.has(name)) {
+      throw new Error(`parquet column already written in row group: ${name}`)
+    }
+    group.numRows ??= data.length
+    if (data.length !== group.numRows) {
+      throw new Error('parquet columns must have the same length')
+    }
+    const spec = this.columns.find(column => column.name === name)
+    group.chunks.set(name, this.encodeColumn({ ...spec, ...options, name, data }, this.pageSize ?? 1048576))
+    return this.writer.flush?.()
+  }
+
+  /**
+   * End the row group begun by {@link ParquetWriter#beginRowGroup}. Throws if
+   * any column of the schema was not written.
+   */
+  endRowGroup() {
+    const group = this.openRowGroup
+    if (!group) throw new Error('parquet row group not begun')
+    /** @type {ColumnChunk[]} */
+    const columns = []
+    // column chunks are listed in schema order, whatever order they were written in
+    for (const { element } of getSchemaPath(this.schema, [])[0].children) {
+      const chunks = group.chunks.get(element.name)
+      if (!chunks) throw new Error(`parquet row group missing column: ${element.name}`)
+      columns.push(...chunks)
+    }
+    this.openRowGroup = undefined
+    const rows = group.numRows ?? 0
+    const bytes = this.writer.offset - group.start
+    this.num_rows += BigInt(rows)
+    this.row_groups.push({
+      columns,
+      total_byte_size: BigInt(bytes),
+      num_rows: BigInt(rows),
+    })
+    this.onProgress?.({ type: 'rowGroupFinished', rowGroup: this.row_groups.length - 1, rows, bytes })
+  }
+
+  /**
+   * Throw if a row group begun by beginRowGroup has not been ended.
+   */
+  checkRowGroupEnded() {
+    if (this.openRowGroup) throw new Error('parquet row group not ended')
+  }
+
+  /**
+   * Encode the data of one top-level column as column chunks, one per leaf
+   * column, and queue their page indexes for the footer.
+   *
+   * @param {ColumnSource} source
+   * @param {number} pageSize
+   * @returns {ColumnChunk[]}
+   */
+  encodeColumn({ name, data, encoding, codec = this.codec, pageVersion = this.pageVersion, columnIndex = false, offsetIndex = true, pageStatistics = false, shredding, bloomFilter }, pageSize) {
+    // Spec: if ColumnIndex is present, OffsetIndex must also be present
+    if (columnIndex && !offsetIndex) {
+      throw new Error('parquet ColumnIndex cannot be present without OffsetIndex')
+    }
+    const columnPath = getSchemaPath(this.schema, [name])
+    const leafPaths = getLeafSchemaPaths(columnPath)
+
+    // For VARIANT logical type, encode JS values into {metadata, value} structs
+    const columnElement = columnPath.at(-1)?.element
+    const shreddingConfig = shredding && shredding !== true ? shredding : undefined
+    const isVariant = columnElement?.logical_type?.type === 'VARIANT'
+    const isRequired = columnElement?.repetition_type === 'REQUIRED'
+    const rows = isVariant
+      ? encodeVariantColumn(Array.from(data), shreddingConfig, { name, required: isRequired })
+      : data
+
+    /** @type {ColumnChunk[]} */
+    const chunks = []
+    for (const leafPath of leafPaths) {
+      const schemaPath = leafPath.map(node => node.element)
+
+      /** @type {ColumnEncoder} */
+      const column = {
+        columnName: schemaPath.slice(1).map(s => s.name).join('.'),
+        element: schemaPath[schemaPath.length - 1],
+        schemaPath,
+        codec,
+        compressors: this.compressors,
+        stats: this.statistics,
+        pageSize,
+        pageRowLimit: this.pageRowLimit,
+        pageChecksums: this.pageChecksums,
+        pageVersion,
+        columnIndex,
+        offsetIndex,
+        pageStatistics,
+        encoding,
+        bloomFilter,
+      }
+
+      const pageData = encodeNestedValues(leafPath, rows)
+      const result = writeColumn({
+        writer: this.writer,
+        column,
+        pageData,
+      })
+
+      chunks.push(result.chunk)
+      this.pendingIndexes.push(result)
+      if (this.onProgress) {
+        const { meta_data } = result.chunk
+        this.onProgress({
+          type: 'columnChunkFinished',
+          rowGroup: this.row_groups.length,
+          column: column.columnName,
+          encoding: meta_data?.encodings.at(-1) ?? 'PLAIN',
+          dictionary: meta_data?.dictionary_page_offset !== undefined,
+          compressedBytes: Number(meta_data?.total_compressed_size),
+          uncompressedBytes: result.uncompressedBytes,
+          pages: result.pages,
+        })
+      }
+    }
+    return chunks
+  }
+
+  /**
+   * Estimated encoded size of each row of the column data.
+   *
+   * @param {ColumnSource[]} columnData
+   * @param {number} numRows
+   * @returns {Float64Array}
+   */
+  estimateRowBytes(columnData, numRows) {
+    const rowBytes = new Float64Array(numRows)
+    for (const { name, data } of columnData) {
+      const element = getSchemaPath(this.schema, [name]).at(-1)?.element
+      for (let i = 0; i < numRows; i++) {
+        rowBytes[i] += estimateColumnValueSize(data[i], element)
+      }
+    }
+    return rowBytes
+  }
+
+  /**
+   * Copy an encoded row group from another parquet file without decoding it.
+   * The column chunk bytes are written unchanged, and the page offsets in the
+   * chunk metadata and offset indexes are rebased to their new position.
+   * Calls writer.flush() (if defined) afterwards, like write().
+   *
+   * @param {object} options
+   * @param {ArrayBuffer} options.file source parquet file
+   * @param {RowGroup} options.rowGroup row group metadata from the source file
+   * @param {PageIndexes[]} options.pageIndexes page indexes of each column chunk, see readFooter
+   * @returns {void | Promise<void>}
+   */
+  copyRowGroup({ file, rowGroup, pageIndexes }) {
+    this.checkRowGroupEnded()
+    const groupStartOffset = this.writer.offset
+    /** @type {ColumnChunk[]} */
+    const columns = []
+    for (let j = 0; j < rowGroup.columns.length; j++) {
+      const source = rowGroup.columns[j]
+      if (source.file_path) throw new Error('parquet cannot copy column chunk stored in another file')
+      const { start, end } = chunkRange(source)
+      const chunkOffset = BigInt(this.writer.offset)
+      const delta = chunkOffset - BigInt(start)
+      this.writer.appendBytes(new Uint8Array(file, start, end - start))
+
+      /** @type {ColumnChunk} */
+      const chunk = { ...source, file_offset: chunkOffset }
+      if (source.meta_data) {
+        const { data_page_offset, dictionary_page_offset, index_page_offset } = source.meta_data
+        chunk.meta_data = {
+          ...source.meta_data,
+          data_page_offset: data_page_offset + delta,
+          dictionary_page_offset: dictionary_page_offset ? dictionary_page_offset + delta : dictionary_page_offset,
+          index_page_offset: index_page_offset ? index_page_offset + delta : index_page_offset,
+        }
+      }
+      columns.push(chunk)
+
+      const { columnIndex, offsetIndex, bloomFilter } = pageIndexes[j] ?? {}
+      this.pendingIndexes.push({
+        chunk,
+        columnIndex,
+        offsetIndex: offsetIndex && {
+          ...offsetIndex,
+          page_locations: offsetIndex.page_locations.map(loc => ({ ...loc, offset: loc.offset + delta })),
+        },
+        bloomFilter,
+      })
+    }
+
+    this.num_rows += rowGroup.num_rows
+    this.row_groups.push({
+      ...rowGroup,
+      columns,
+      file_offset: rowGroup.file_offset === undefined ? undefined : BigInt(groupStartOffset),
+    })
+    return this.writer.flush?.()
+  }
+
+  /**
+   * Finish writing the file, after any rows buffered by appendRow.
+   * Returns the file metadata as written to the footer and a report of the
+   * columns written, or a promise of them if the writer finishes asynchronously.
+   *
+   * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
+   */
   finish() {
+    this.checkRowGroupEnded()
+    const r = this.flushRows()
+    return r ? r.then(() => this.writeFooter()) : this.writeFooter()
+  }
+
+  /**
+   * Stop writing the file: calls writer.abort() (if defined), so the writer can
+   * discard the partial file or error its stream, then throws `reason`. If the
+   * writer aborts asynchronously, returns a promise that rejects with `reason`
+   * once it has.
+   *
+   * @param {any} reason
+   * @returns {Promise<never>}
+   */
+  abort(reason) {
+    return abortWriter(this.writer, reason)
+  }
+
+  /**
+   * Write the page indexes, bloom filters and footer, and finish the writer.
+   *
+   * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
+   */
+  writeFooter() {
     // Write all indexes at end of file
+    const indexesStart = this.writer.offset
     writeIndexes(this.writer, this.pendingIndexes)
+    this.onProgress?.({ type: 'indexesWritten', bytes: this.writer.offset - indexesStart })
     // Bloom filters cluster after indexes so pushdown readers fetch them in one range
+    const bloomsStart = this.writer.offset
     writeBlooms(this.writer, this.pendingIndexes)
+    this.onProgress?.({ type: 'bloomFiltersWritten', bytes: this.writer.offset - bloomsStart })
 
     // write metadata
     /** @type {FileMetaData} */
     const metadata = {
       version: 2,
-      created_by: 'hyparquet',
+      created_by: this.created_by,
       schema: this.schema,
       num_rows: this.num_rows,
       row_groups: this.row_groups,
       metadata_length: 0,
       key_value_metadata: this.kvMetadata,
     }
-    // @ts-ignore don't want to actually serialize metadata_length
-    delete metadata.metadata_length
+    const metadataStart = this.writer.offset
     writeMetadata(this.writer, metadata)
+    // metadata_length is not serialized, it is the thrift length in the footer
+    metadata.metadata_length = this.writer.offset - metadataStart - 4
 
     // write footer PAR1
     this.writer.appendUint32(0x31524150)
-    return this.writer.finish()
+    const footerBytes = this.writer.offset - metadataStart
+    this.onProgress?.({ type: 'footerWritten', bytes: footerBytes })
+    /** @type {ParquetWriteResult} */
+    const result = {
+      metadata,
+      report: { fileBytes: this.writer.offset, footerBytes, columns: this.columnReports() },
+    }
+    const r = this.writer.finish()
+    return r ? r.then(() => result) : result
+  }
+
+  /**
+   * Summarize each leaf column across all row groups: encodings, codec,
+   * compressed and uncompressed size, null count, min and max, and bloom
+   * filter size.
+   *
+   * @returns {ColumnReport[]}
+   */
+  columnReports() {
+    /** @type {Map<string, ColumnReport>} */
+    const reports = new Map()
+    for (const { columns } of this.row_groups) {
+      for (const chunk of columns) {
+        const meta = chunk.meta_data
+        if (!meta) continue
+        const column = meta.path_in_schema.join('.')
+        let report = reports.get(column)
+        if (!report) {
+          report = {
+            column,
+            encodings: [],
+            codec: meta.codec,
+            compressedBytes: 0,
+            uncompressedBytes: 0,
+            compressionRatio: 1,
+            nullCount: meta.statistics?.null_count === undefined ? undefined : 0,
+            bloomFilterBytes: 0,
+          }
+          reports.set(column, report)
+        }
+        for (const encoding of meta.encodings) {
+          if (!report.encodings.includes(encoding)) report.encodings.push(encoding)
+        }
+        report.compressedBytes += Number(meta.total_compressed_size)
+        report.uncompressedBytes += Number(meta.total_uncompressed_size)
+        const { null_count, min_value, max_value } = meta.statistics ?? {}
+        report.nullCount = null_count === undefined || report.nullCount === undefined
+          ? undefined
+          : report.nullCount + Number(null_count)
+        if (min_value !== undefined && (report.minValue === undefined || compareValues(min_value, report.minValue) < 0)) {
+          report.minValue = min_value
+        }
+        if (max_value !== undefined && (report.maxValue === undefined || compareValues(max_value, report.maxValue) > 0)) {
+          report.maxValue = max_value
+        }
+        report.bloomFilterBytes += meta.bloom_filter_length ?? 0
+      }
+    }
+    for (const report of reports.values()) {
+      if (report.compressedBytes) report.compressionRatio = report.uncompressedBytes / report.compressedBytes
+    }
+    return [...reports.values()]
   }
 }
 
+/**
+ * Call writer.abort() (if defined) and throw `reason`, or reject with it once
+ * an asynchronous abort settles.
+ *
+ * @param {Writer} writer
+ * @param {any} reason
+ * @returns {Promise<never>}
+ */
+export function abortWriter(writer, reason) {
+  const r = writer.abort?.(reason)
+  if (r instanceof Promise) {
+    return r.then(() => {
+      throw reason
+    })
+  }
+  throw reason
+}
+
+/**
+ * Sorting columns of the row group metadata for `sortBy`. Each sort column must
+ * be a top-level primitive column; column_idx is its index among the leaf
+ * columns of the schema.
+ *
+ * @param {SchemaElement[]} schema
+ * @param {SortColumn[]} sortBy
+ * @returns {NonNullable<RowGroup['sorting_columns']>}
+ */
+function sortingColumns(schema, sortBy) {
+  const { children } = getSchemaPath(schema, [])[0]
+  return sortBy.map(({ column, descending = false, nullsFirst = false }) => {
+    let column_idx = 0
+    for (const child of children) {
+      if (child.element.name === column) {
+        if (child.children.length) throw new Error(`parquet sortBy column must be a primitive column: ${column}`)
+        return { column_idx, descending, nulls_first: nullsFirst }
+      }
+      column_idx += getLeafSchemaPaths([child]).length
+    }
+    throw new Error(`parquet sortBy column not found: ${column}`)
+  })
+}
+
+/**
+ * Stable sort order of `size` rows starting at `start`, by each key in turn.
+ * Values compare as in column statistics, and nulls go first or last
+ * regardless of direction.
+ *
+ * @param {{ data: DecodedArray, descending: boolean, nullsFirst: boolean }[]} keys
+ * @param {number} start
+ * @param {number} size
+ * @returns {number[]} row offsets from start, in sorted order
+ */
+function sortOrder(keys, start, size) {
+  const order = Array.from({ length: size }, (_, i) => i)
+  return order.sort((a, b) => {
+    for (const { data, descending, nullsFirst } of keys) {
+      const left = data[start + a]
+      const right = data[start + b]
+      const leftNull = left === null || left === undefined
+      const rightNull = right === null || right === undefined
+      if (leftNull || rightNull) {
+        if (leftNull && rightNull) continue
+        return leftNull === nullsFirst ? -1 : 1
+      }
+      const comparison = compareValues(left, right)
+      if (comparison) return descending ? -comparison : comparison
+    }
+    return 0
+  })
+}
+
+/**
+ * Reorder all rows of the columns along the space-filling curve of `clusterBy`.
+ *
+ * @param {ColumnSource[]} columnData
+ * @param {ClusterBy} clusterBy
+ * @returns {ColumnSource[]}
+ */
+function clusterColumns(columnData, { columns, curve = 'zorder' }) {
+  if (!columns.length) throw new Error('parquet clusterBy requires at least one column')
+  const rows = columnData[0]?.data.length ?? 0
+  if (columnData.some(({ data }) => data.length !== rows)) {
+    throw new Error('parquet columns must have the same length')
+  }
+  const keys = columns.map(column => {
+    const source = columnData.find(({ name }) => name === column)
+    if (!source) throw new Error(`parquet clusterBy column not found: ${column}`)
+    return source.data
+  })
+  const order = clusterOrder(keys, curve)
+  return columnData.map(column => ({ ...column, data: permute(column.data, 0, order) }))
+}
+
+/**
+ * Copy the rows of `data` starting at `start` in the given order.
+ *
+ * @param {DecodedArray} data
+ * @param {number} start
+ * @param {number[]} order
+ * @returns {DecodedArray}
+ */
+function permute(data, start, order) {
+  const sorted = data.slice(start, start + order.length)
+  for (let i = 0; i < order.length; i++) {
+    sorted[i] = data[start + order[i]]
+  }
+  return sorted
+}
+
+/**
+ * Merge key-value metadata, later entries replacing earlier ones with the same key.
+ *
+ * @param {KeyValue[] | undefined} existing
+ * @param {KeyValue[] | undefined} added
+ * @returns {KeyValue[] | undefined}
+ */
+function mergeKeyValues(existing, added) {
+  if (!added) return existing
+  if (!existing) return added
+  const keys = new Set(added.map(kv => kv.key))
+  return [...existing.filter(kv => !keys.has(kv.key)), ...added]
+}
+
 /**
  * Target row count for the i-th row group. When rowGroupSize is an array, the
  * last entry repeats once the array is exhausted.
@@ -189,17 +824,69 @@ export function groupSize(rowGroupSize, i) {
     : rowGroupSize
 }
 
+/**
+ * Top-level schema element of each field, used to size row values.
+ *
+ * @param {SchemaElement[]} schema
+ * @param {string[]} fields
+ * @returns {(SchemaElement | undefined)[]}
+ */
+export function columnElements(schema, fields) {
+  return fields.map(name => getSchemaPath(schema, [name]).at(-1)?.element)
+}
+
+/**
+ * Estimated encoded size of a row object, for closing row groups by
+ * rowGroupBytes. See {@link estimateColumnValueSize}.
+ *
+ * @param {Record<string, any>} row
+ * @param {string[]} fields
+ * @param {(SchemaElement | undefined)[]} [elements] schema element of each field, if known
+ * @returns {number}
+ */
+export function estimateRowSize(row, fields, elements) {
+  let size = 0
+  for (let c = 0; c < fields.length; c++) {
+    size += estimateColumnValueSize(row[fields[c]], elements?.[c])
+  }
+  return size
+}
+
+/**
+ * Transpose a window of row objects into one array per field, in a single pass.
+ *
+ * @param {Record<string, any>[]} rows
+ * @param {string[]} fields
+ * @param {number} start
+ * @param {number} size
+ * @returns {DecodedArray[]}
+ */
+export function transposeWindow(rows, fields, start, size) {
+  const width = fields.length
+  const cols = new Array(width)
+  for (let c = 0; c < width; c++) cols[c] = new Array(size)
+  for (let k = 0; k < size; k++) {
+    const row = rows[start + k]
+    for (let c = 0; c < width; c++) cols[c][k] = row[fields[c]]
+  }
+  return cols
+}
+
 /**
  * Create an iterator for row groups based on the specified row group size.
  * If rowGroupSize is an array, it will return groups based on the sizes in the array.
  * When the array runs out, it will continue with the last size.
+ * If rowGroupBytes is given, a group also ends at the row where the estimated
+ * size of its rows reaches rowGroupBytes.
  *
  * @param {object} options
  * @param {number} options.columnDataRows - Total number of rows in the column data
  * @param {number | number[]} options.rowGroupSize - Size of each row group or an array of sizes
+ * @param {number} [options.rowGroupBytes] - Target estimated byte size of each row group
+ * @param {Float64Array} [options.rowBytes] - Estimated byte size of each row
  * @returns {Array<{groupStartIndex: number, groupSize: number}>}
  */
-function groupIterator({ columnDataRows, rowGroupSize }) {
+function groupIterator({ columnDataRows, rowGroupSize, rowGroupBytes, rowBytes }) {
   if (Array.isArray(rowGroupSize) && !rowGroupSize.length) {
     throw new Error('rowGroupSize array cannot be empty')
   }
@@ -207,8 +894,18 @@ function groupIterator({ columnDataRows, rowGroupSize }) {
   let groupIndex = 0
   let groupStartIndex = 0
   while (groupStartIndex < columnDataRows) {
-    const size = groupSize(rowGroupSize, groupIndex)
-    groups.push({ groupStartIndex, groupSize: Math.min(size, columnDataRows - groupStartIndex) })
+    let size = Math.min(groupSize(rowGroupSize, groupIndex), columnDataRows - groupStartIndex)
+    if (rowGroupBytes && rowBytes) {
+      let bytes = 0
+      for (let i = 0; i < size; i++) {
+        bytes += rowBytes[groupStartIndex + i]
+        if (bytes >= rowGroupBytes) {
+          size = i + 1
+          break
+        }
+      }
+    }
+    groups.push({ groupStartIndex, groupSize: size })
     groupStartIndex += size
     groupIndex++
   }
@@ -0,0 +1,227 @@
+import { ParquetWriter, columnElements, estimateRowSize, groupSize, transposeWindow } from './parquet-writer.js'
+import { schemaFromColumnData } from './schema.js'
+
+/**
+ * @import {SchemaElement} from 'hyparquet'
+ * @import {ColumnSource, ParquetWriteResult, RollingFile, RollingParquetWriterOptions, Writer} from '../src/types.js'
+ */
+
+/**
+ * Writes an unbounded stream of rows to a sequence of parquet files, finishing
+ * the current file and starting the next one when it reaches `maxRows` rows,
+ * `maxBytes` bytes, or is `maxAge` milliseconds old.
+ *
+ * Files are named part-00000.parquet, part-00001.parquet, ... and opened with
+ * `createWriter(filename)`, so any Writer works as the sink (fileWriter,
+ * asyncFileWriter, ByteWriter). Files are only created once they have rows,
+ * and each finished file is listed in `files` with its row and byte counts and
+ * its footer metadata.
+ *
+ * The schema is inferred from the first row group unless given, and shared by
+ * all files, so pass column types (or a schema) if later rows may contain nulls
+ * the first group did not. Limits are checked between rows: `maxRows` is exact, `maxBytes`
+ * may be exceeded by up to one row group plus the footer, and `maxAge` is
+ * checked as rows arrive (call roll() from a timer to close idle files).
+ *
+ * Like {@link parquetWriteRows}, write(), roll() and finish() return a promise
+ * when the source or the sink is async, and void otherwise. Each call must
+ * settle before the next one.
+ */
+export class RollingParquetWriter {
+  /**
+   * @param {RollingParquetWriterOptions} options
+   */
+  constructor({ createWriter, columns, schema, maxRows = Infinity, maxBytes = Infinity, maxAge = Infinity, rowGroupBytes, rowGroupSize = rowGroupBytes ? Infinity : [1000, 100000], pageSize, ...options }) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error('RollingParquetWriter requires a non-empty columns array')
+    }
+    if (Array.isArray(rowGroupSize) && !rowGroupSize.length) {
+      throw new Error('rowGroupSize array cannot be empty')
+    }
+    if (!(maxRows > 0)) throw new Error('RollingParquetWriter maxRows must be positive')
+    this.createWriter = createWriter
+    this.columns = columns
+    this.fields = columns.map(column => column.name)
+    /** @type {SchemaElement[] | undefined} */
+    this.schema = schema
+    this.maxRows = maxRows
+    this.maxBytes = maxBytes
+    this.maxAge = maxAge
+    this.rowGroupSize = rowGroupSize
+    this.rowGroupBytes = rowGroupBytes
+    this.pageSize = pageSize
+    this.options = options
+
+    /** @type {RollingFile[]} completed files, in order */
+    this.files = []
+
+    /** @type {{ filename: string, writer: Writer, pq: ParquetWriter } | undefined} */
+    this.current = undefined
+    /** @type {Record<string, any>[]} rows buffered for the next row group */
+    this.batch = []
+    this.batchBytes = 0 // estimated size of the buffered rows, with rowGroupBytes
+    /** @type {(SchemaElement | undefined)[] | undefined} */
+    this.elements = undefined
+    this.fileRows = 0 // rows in the current file, buffered rows included
+    this.fileGroups = 0 // row groups written to the current file
+    this.openedAt = 0 // time of the first row in the current file
+  }
+
+  /**
+   * Write rows, rolling over to new files as limits are reached. `rows` may be
+   * an array, a sync iterable or an async iterable, as for parquetWriteRows.
+   *
+   * @param {Record<string, any>[] | Iterable<Record<string, any>> | AsyncIterable<Record<string, any>>} rows
+   * @returns {void | Promise<void>}
+   */
+  write(rows) {
+    /** @type {any} */
+    const source = rows
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+      return (async () => {
+        for await (const row of source) {
+          await this.push(row)
+        }
+      })()
+    }
+    if (!source || typeof source[Symbol.iterator] !== 'function') {
+      throw new Error('RollingParquetWriter expects a rows array, iterable, or async iterable')
+    }
+    /** @type {Iterator<Record<string, any>>} */
+    const it = source[Symbol.iterator]()
+    /** @returns {void | Promise<void>} */
+    const drain = () => {
+      for (let next = it.next(); !next.done; next = it.next()) {
+        const r = this.push(next.value)
+        if (r) return r.then(drain)
+      }
+    }
+    return drain()
+  }
+
+  /**
+   * Finish the current file, if any. The next row starts a new file.
+   *
+   * @returns {void | Promise<void>}
+   */
+  roll() {
+    const r = this.writeBatch()
+    return r ? r.then(() => this.closeFile()) : this.closeFile()
+  }
+
+  /**
+   * Finish the current file. The files written are listed in `files`.
+   *
+   * @returns {void | Promise<void>}
+   */
+  finish() {
+    return this.roll()
+  }
+
+  /**
+   * Add one row, rolling over first if the current file is full.
+   *
+   * @param {Record<string, any>} row
+   * @returns {void | Promise<void>}
+   */
+  push(row) {
+    if (this.isFull()) {
+      const r = this.roll()
+      if (r) return r.then(() => this.add(row))
+    }
+    return this.add(row)
+  }
+
+  /**
+   * Buffer a row, and write the buffered rows as a row group once the group is
+   * full or the file reaches maxRows.
+   *
+   * @param {Record<string, any>} row
+   * @returns {void | Promise<void>}
+   */
+  add(row) {
+    if (!this.fileRows) this.openedAt = Date.now()
+    this.batch.push(row)
+    this.fileRows++
+    if (this.rowGroupBytes) {
+      if (this.schema && !this.elements) this.elements = columnElements(this.schema, this.fields)
+      this.batchBytes += estimateRowSize(row, this.fields, this.elements)
+    }
+    const groupFull = this.batch.length >= groupSize(this.rowGroupSize, this.fileGroups) ||
+      this.rowGroupBytes !== undefined && this.batchBytes >= this.rowGroupBytes
+    if (!groupFull && this.fileRows < this.maxRows) return
+    const r = this.writeBatch()
+    const rollIfFull = () => this.isFull() ? this.roll() : undefined
+    return r ? r.then(rollIfFull) : rollIfFull()
+  }
+
+  /**
+   * Whether the current file has reached one of its limits.
+   *
+   * @returns {boolean}
+   */
+  isFull() {
+    if (!this.fileRows) return false
+    return this.fileRows >= this.maxRows ||
+      (this.current?.writer.offset ?? 0) >= this.maxBytes ||
+      Date.now() - this.openedAt >= this.maxAge
+  }
+
+  /**
+   * Write the buffered rows as one row group, opening a new file if needed.
+   *
+   * @returns {void | Promise<void>}
+   */
+  writeBatch() {
+    const rows = this.batch
+    if (!rows.length) return
+    this.batch = []
+    this.batchBytes = 0
+    const cols = transposeWindow(rows, this.fields, 0, rows.length)
+    /** @type {ColumnSource[]} */
+    const columnData = this.columns.map((spec, c) => ({ ...spec, data: cols[c] }))
+    // The first group fixes the schema of every file.
+    this.schema ??= schemaFromColumnData({ columnData })
+    if (!this.current) {
+      const filename = partFilename(this.files.length)
+      const writer = this.createWriter(filename)
+      const pq = new ParquetWriter({ ...this.options, writer, schema: this.schema })
+      this.current = { filename, writer, pq }
+    }
+    this.fileGroups++
+    return this.current.pq.write({ columnData, rowGroupSize: rows.length, pageSize: this.pageSize })
+  }
+
+  /**
+   * Finish the current file and record it.
+   *
+   * @returns {void | Promise<void>}
+   */
+  closeFile() {
+    const { current } = this
+    if (!current) return
+    this.current = undefined
+    this.fileRows = 0
+    this.fileGroups = 0
+    /** @param {ParquetWriteResult} result */
+    const record = ({ metadata, report }) => {
+      this.files.push({
+        filename: current.filename,
+        rows: Number(metadata.num_rows),
+        bytes: current.writer.offset,
+        metadata,
+        report,
+      })
+    }
+    const r = current.pq.finish()
+    return r instanceof Promise ? r.then(record) : record(r)
+  }
+}
+
+/**
+ * @param {number} index
+ * @returns {string}
+ */
+function partFilename(index) {
+  return `part-${String(index).padStart(5, '0')}.parquet`
+}
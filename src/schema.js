@@ -255,3 +255,42 @@ export function getMaxRepetitionLevel(schemaPath) {
   }
   return maxLevel
 }
+
+/**
+ * Check whether two schemas describe the same columns: same names, physical
+ * and logical types, repetition and nesting. Fields left undefined on one side
+ * and absent on the other are treated as equal.
+ *
+ * @param {SchemaElement[]} a
+ * @param {SchemaElement[]} b
+ * @returns {boolean}
+ */
+export function schemaEquals(a, b) {
+  if (a.length !== b.length) return false
+  for (let i = 0; i < a.length; i++) {
+    const left = a[i]
+    const right = b[i]
+    // root repetition and name vary between writers
+    if (i > 0 && (left.name !== right.name || left.repetition_type !== right.repetition_type)) return false
+    if (left.type !== right.type) return false
+    if (left.type_length !== right.type_length) return false
+    if ((left.num_children ?? 0) !== (right.num_children ?? 0)) return false
+    if (left.converted_type !== right.converted_type) return false
+    if (left.scale !== right.scale || left.precision !== right.precision) return false
+    if (stableJson(left.logical_type) !== stableJson(right.logical_type)) return false
+  }
+  return true
+}
+
+/**
+ * JSON with sorted keys and undefined fields dropped, for structural equality.
+ *
+ * @param {any} value
+ * @returns {string | undefined}
+ */
+function stableJson(value) {
+  if (value === undefined) return undefined
+  if (typeof value !== 'object' || value === null) return JSON.stringify(value)
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+  return '{' + keys.map(key => JSON.stringify(key) + ':' + stableJson(value[key])).join(',') + '}'
+}
@@ -0,0 +1,217 @@
+import { ByteWriter } from './bytewriter.js'
+import { parquetWriteRows } from './write-rows.js'
+import { parquetWrite } from './write.js'
+
+/**
+ * @import {ParquetWriteOptions, ParquetWriteRowsOptions, Writer} from '../src/types.js'
+ */
+
+/**
+ * Write data as parquet to a WHATWG ReadableStream.
+ *
+ * Bytes are emitted one row group at a time, as soon as each group is encoded,
+ * and the file footer is emitted last. Writing pauses after each row group
+ * until the consumer pulls again, so a slow consumer (an upload, a network
+ * response) never has more than one row group queued.
+ *
+ * @param {Omit<ParquetWriteOptions, 'writer'>} options
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function parquetWriteStream(options) {
+  return writerStream(writer => parquetWrite({ ...options, writer }))
+}
+
+/**
+ * Transform stream from row objects to parquet bytes.
+ *
+ * Rows written to the `writable` side are encoded with {@link parquetWriteRows}
+ * and each row group's bytes are emitted on the `readable` side as soon as the
+ * group is complete. The footer is emitted when the writable side is closed.
+ * Works with `ReadableStream.pipeThrough` and with node's `stream.pipeline`:
+ *
+ *   rows.pipeThrough(parquetTransform({ columns })).pipeTo(destination)
+ *
+ * Writes wait while a full row group is buffered and the readable side is not
+ * being consumed. If encoding fails or either side is canceled, both sides
+ * error and no further rows are accepted.
+ *
+ * @param {Omit<ParquetWriteRowsOptions, 'writer' | 'rows'>} options
+ * @returns {{ writable: WritableStream<Record<string, any>>, readable: ReadableStream<Uint8Array> }}
+ */
+export function parquetTransform(options) {
+  /** @type {{ row: Record<string, any>, resolve: () => void, reject: (reason: any) => void }[]} */
+  const queue = []
+  /** @type {((result: IteratorResult<Record<string, any>>) => void) | undefined} */
+  let waiting
+  /** @type {((reason: any) => void) | undefined} */
+  let waitingReject
+  let closed = false
+  /** @type {any} */
+  let failure
+
+  /** @type {AsyncIterable<Record<string, any>>} */
+  const rows = {
+    [Symbol.asyncIterator]() {
+      return {
+        next() {
+          if (failure) return Promise.reject(failure)
+          const entry = queue.shift()
+          if (entry) {
+            entry.resolve()
+            return Promise.resolve({ value: entry.row, done: false })
+          }
+          if (closed) return Promise.resolve({ value: undefined, done: true })
+          return new Promise((resolve, reject) => {
+            waiting = resolve
+            waitingReject = reject
+          })
+        },
+        return() {
+          closed = true
+          return Promise.resolve({ value: undefined, done: true })
+        },
+      }
+    },
+  }
+
+  /** @type {WritableStreamDefaultController} */
+  let writableController
+
+  /**
+   * Stop accepting rows and reject any that are waiting.
+   * @param {any} reason
+   */
+  function fail(reason) {
+    if (failure) return
+    failure = reason
+    waitingReject?.(reason)
+    waiting = undefined
+    for (const entry of queue.splice(0)) entry.reject(reason)
+    writableController.error(reason)
+  }
+
+  const writable = new WritableStream({
+    start(controller) {
+      writableController = controller
+    },
+    write(row) {
+      if (failure) throw failure
+      if (waiting) {
+        const resolve = waiting
+        waiting = undefined
+        resolve({ value: row, done: false })
+        return
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ row, resolve, reject })
+      })
+    },
+    close() {
+      closed = true
+      waiting?.({ value: undefined, done: true })
+      waiting = undefined
+    },
+    abort(reason) {
+      fail(reason ?? new Error('parquet transform aborted'))
+    },
+  })
+
+  const readable = writerStream(writer => {
+    const w = parquetWriteRows({ ...options, rows, writer })
+    if (w instanceof Promise) {
+      return w.catch(error => {
+        fail(error)
+        throw error
+      })
+    }
+  }, reason => fail(reason ?? new Error('parquet stream canceled')))
+
+  return { writable, readable }
+}
+
+/**
+ * Create a ReadableStream fed by a Writer. `write` is called on the first pull
+ * with a writer whose flush() emits the buffered bytes as one chunk, and only
+ * resolves once the consumer is ready for more. finish() closes the stream.
+ *
+ * If the consumer cancels, pending and later flushes reject with the cancel
+ * reason, so the write stops at the next row group. If the write is aborted,
+ * abort() errors the stream with the abort reason. `onCancel` is called with
+ * the cancel reason right away, even before the first pull.
+ *
+ * @param {(writer: Writer) => unknown} write
+ * @param {(reason: any) => void} [onCancel]
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function writerStream(write, onCancel) {
+  /** @type {ByteWriter & Writer} */
+  const writer = new ByteWriter()
+  /** @type {ReadableStreamDefaultController<Uint8Array>} */
+  let controller
+  let started = false
+  let canceled = false
+  /** @type {any} */
+  let cancelReason
+  /** @type {{ resolve: () => void, reject: (reason: any) => void } | undefined} */
+  let waiting
+
+  /** Emit buffered bytes as a chunk */
+  function emit() {
+    if (writer.index) {
+      controller.enqueue(writer.getBytes().slice())
+      writer.index = 0
+    }
+  }
+
+  /**
+   * Emit buffered bytes, then wait until the consumer wants more.
+   * @returns {void | Promise<void>}
+   */
+  writer.flush = function() {
+    if (canceled) throw cancelReason
+    emit()
+    if ((controller.desiredSize ?? 0) > 0) return
+    return new Promise((resolve, reject) => {
+      waiting = { resolve, reject }
+    })
+  }
+  writer.finish = function() {
+    if (canceled) return
+    emit()
+    controller.close()
+  }
+  // an aborted write errors the stream instead of closing it
+  writer.abort = function(reason) {
+    if (canceled) return
+    canceled = true
+    controller.error(reason)
+  }
+
+  return new ReadableStream({
+    start(c) {
+      controller = c
+    },
+    pull() {
+      if (!started) {
+        started = true
+        try {
+          const w = write(writer)
+          if (w instanceof Promise) w.catch(error => canceled || controller.error(error))
+        } catch (error) {
+          controller.error(error)
+        }
+      } else if (waiting) {
+        const { resolve } = waiting
+        waiting = undefined
+        resolve()
+      }
+    },
+    cancel(reason) {
+      canceled = true
+      cancelReason = reason ?? new Error('parquet stream canceled')
+      waiting?.reject(cancelReason)
+      waiting = undefined
+      onCancel?.(cancelReason)
+    },
+  })
+}
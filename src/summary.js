@@ -0,0 +1,77 @@
+import { writeMetadata } from './metadata.js'
+import { schemaEquals } from './schema.js'
+
+/**
+ * @import {FileMetaData, KeyValue} from 'hyparquet'
+ * @import {Writer} from '../src/types.js'
+ */
+
+/**
+ * Write a dataset `_metadata` summary file: a parquet footer with no data of
+ * its own, listing every row group of every file in the dataset. Each column
+ * chunk's `file_path` is set to the file it lives in, relative to the summary
+ * file, so readers can plan a query over the whole dataset from one footer.
+ *
+ * `files` are typically collected from the metadata returned by
+ * ParquetWriter.finish(), or from RollingParquetWriter.files. All files must
+ * have the same schema. Key-value metadata is taken from the first file unless
+ * `kvMetadata` is given.
+ *
+ * @param {object} options
+ * @param {Writer} options.writer
+ * @param {{ filename: string, metadata: FileMetaData }[]} options.files
+ * @param {KeyValue[]} [options.kvMetadata]
+ * @returns {void | Promise<void>}
+ */
+export function parquetSummaryMetadata({ writer, files, kvMetadata }) {
+  const first = summarySource(files)
+  const row_groups = files.flatMap(({ filename, metadata }) => {
+    if (!schemaEquals(metadata.schema, first.schema)) {
+      throw new Error(`parquet summary schema of ${filename} does not match ${files[0].filename}`)
+    }
+    return metadata.row_groups.map(rowGroup => ({
+      ...rowGroup,
+      columns: rowGroup.columns.map(chunk => ({ ...chunk, file_path: filename })),
+    }))
+  })
+  const num_rows = files.reduce((sum, { metadata }) => sum + metadata.num_rows, 0n)
+  return writeSummary(writer, { ...first, row_groups, num_rows, key_value_metadata: kvMetadata ?? first.key_value_metadata })
+}
+
+/**
+ * Write a dataset `_common_metadata` summary file: a parquet footer with the
+ * schema and key-value metadata of the dataset, and no row groups.
+ *
+ * @param {object} options
+ * @param {Writer} options.writer
+ * @param {{ filename: string, metadata: FileMetaData }[]} options.files
+ * @param {KeyValue[]} [options.kvMetadata]
+ * @returns {void | Promise<void>}
+ */
+export function parquetCommonMetadata({ writer, files, kvMetadata }) {
+  const first = summarySource(files)
+  return writeSummary(writer, { ...first, row_groups: [], num_rows: 0n, key_value_metadata: kvMetadata ?? first.key_value_metadata })
+}
+
+/**
+ * @param {{ filename: string, metadata: FileMetaData }[]} files
+ * @returns {FileMetaData}
+ */
+function summarySource(files) {
+  if (!files.length) throw new Error('parquet summary requires at least one file')
+  return files[0].metadata
+}
+
+/**
+ * Write a footer-only parquet file.
+ *
+ * @param {Writer} writer
+ * @param {FileMetaData} metadata
+ * @returns {void | Promise<void>}
+ */
+function writeSummary(writer, metadata) {
+  writer.appendUint32(0x31524150)
+  writeMetadata(writer, metadata)
+  writer.appendUint32(0x31524150)
+  return writer.finish()
+}
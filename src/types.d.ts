@@ -1,4 +1,4 @@
-import type { ColumnChunk, ColumnIndex, CompressionCodec, DecodedArray, Encoding, KeyValue, OffsetIndex, SchemaElement } from 'hyparquet'
+import type { ColumnChunk, ColumnIndex, CompressionCodec, DecodedArray, Encoding, FileMetaData, KeyValue, OffsetIndex, SchemaElement, Statistics } from 'hyparquet'
 
 export type Compressor = (input: Uint8Array) => Uint8Array
 export type Compressors = { [K in CompressionCodec]?: Compressor }
@@ -33,8 +33,88 @@ export interface ParquetWriteOptions {
   compressors?: Compressors // custom compressors
   statistics?: boolean // enable column statistics, default true
   rowGroupSize?: number | number[] // number of rows per row group
+  rowGroupBytes?: number // target estimated bytes per row group, rowGroupSize defaults to no limit
   pageSize?: number // target uncompressed page size in bytes, default 1048576
+  pageVersion?: PageVersion // data page version, default 2
+  pageRowLimit?: number // max rows per page, default 20000
+  pageChecksums?: boolean // write a CRC-32 of each page in its header, default false
   kvMetadata?: KeyValue[]
+  signal?: AbortSignal // cancels the write, which rejects with the signal's reason
+  onProgress?: (event: ParquetWriteEvent) => void // called as row groups, column chunks and the footer are written
+  sortBy?: SortColumn[] // sort the rows of each row group, recorded as sorting_columns
+  clusterBy?: ClusterBy // reorder rows along a space-filling curve over several columns
+}
+
+// 1 writes DATA_PAGE for legacy readers, 2 writes DATA_PAGE_V2
+export type PageVersion = 1 | 2
+
+export type ClusterCurve = 'zorder' | 'hilbert'
+
+export interface ClusterBy {
+  columns: string[] // top-level columns to cluster by
+  curve?: ClusterCurve // default 'zorder'
+}
+
+export interface SortColumn {
+  column: string // top-level primitive column
+  descending?: boolean // default false
+  nullsFirst?: boolean // default false, nulls last
+}
+
+// Returned by ParquetWriter.finish, parquetWrite and parquetWriteRows
+export interface ParquetWriteResult {
+  metadata: FileMetaData // as written to the footer
+  report: ParquetWriteReport
+}
+
+export interface ParquetWriteReport {
+  fileBytes: number // total file size
+  footerBytes: number // file metadata and footer
+  columns: ColumnReport[] // one per leaf column, in schema order
+}
+
+// Summary of a leaf column across all row groups
+export interface ColumnReport {
+  column: string // dotted path of the leaf column
+  encodings: Encoding[]
+  codec: CompressionCodec
+  compressedBytes: number
+  uncompressedBytes: number
+  compressionRatio: number // uncompressedBytes / compressedBytes
+  nullCount?: number // undefined without statistics
+  minValue?: Statistics['min_value']
+  maxValue?: Statistics['max_value']
+  bloomFilterBytes: number // 0 without bloom filters
+}
+
+// Progress events reported by ParquetWriter. Byte counts are as written to the file.
+export type ParquetWriteEvent =
+  | { type: 'rowGroupStarted', rowGroup: number, rows?: number } // rows is unknown for beginRowGroup
+  | { type: 'rowGroupFinished', rowGroup: number, rows: number, bytes: number }
+  | {
+    type: 'columnChunkFinished'
+    rowGroup: number
+    column: string // dotted path of the leaf column
+    encoding: Encoding // data page encoding
+    dictionary: boolean // whether a dictionary page was written
+    compressedBytes: number
+    uncompressedBytes: number // pages and headers before compression
+    pages: number // data pages
+  }
+  | { type: 'indexesWritten', bytes: number } // column and offset indexes
+  | { type: 'bloomFiltersWritten', bytes: number }
+  | { type: 'footerWritten', bytes: number } // file metadata and footer
+
+// Append to an existing parquet file. The schema, if given, must match the file.
+export interface ParquetAppendOptions extends ParquetWriteOptions {
+  file: ArrayBuffer // existing parquet file
+}
+
+// Merge parquet files with matching schemas by copying their column chunks.
+export interface ParquetConcatOptions {
+  writer: Writer
+  files: ArrayBuffer[] // input parquet files, in output order
+  kvMetadata?: KeyValue[] // default: key-value metadata of the first file
 }
 
 // Same write options as ParquetWriteOptions, but the data is supplied as rows
@@ -42,6 +122,31 @@ export interface ParquetWriteOptions {
 export interface ParquetWriteRowsOptions extends Omit<ParquetWriteOptions, 'columnData'> {
   rows: Record<string, any>[] | Iterable<Record<string, any>> | AsyncIterable<Record<string, any>>
   columns: Omit<ColumnSource, 'data'>[]
+  maxBufferedBytes?: number // write a row group early once its buffered rows reach this estimated in-memory size
+}
+
+// Split a stream of rows across files part-00000.parquet, part-00001.parquet, ...
+export interface RollingParquetWriterOptions extends Omit<ParquetWriteOptions, 'writer' | 'columnData' | 'signal'> {
+  createWriter: (filename: string) => Writer // opens the sink for each new file
+  columns: Omit<ColumnSource, 'data'>[]
+  maxRows?: number // rows per file
+  maxBytes?: number // approximate bytes per file
+  maxAge?: number // milliseconds from the first row of a file until it is finished
+}
+
+export interface RollingFile {
+  filename: string
+  rows: number
+  bytes: number
+  metadata: FileMetaData // footer of the file, see ParquetWriter.finish
+  report: ParquetWriteReport
+}
+
+// Write rows as a hive-style partitioned dataset, one directory per partition.
+export interface ParquetWritePartitionsOptions extends Omit<ParquetWriteRowsOptions, 'writer' | 'maxBufferedBytes' | 'signal'> {
+  partitionBy: string[] // partition column names, outermost directory first
+  createWriter: (filename: string) => Writer // opens a file, given its path relative to the dataset root
+  maxOpenWriters?: number // partitions open at once, default 64
 }
 
 export interface ColumnSource {
@@ -49,10 +154,12 @@ export interface ColumnSource {
   data: DecodedArray
   type?: BasicType
   nullable?: boolean
-  encoding?: Encoding
+  encoding?: Encoding | 'auto' // 'auto' picks the smallest encoding for a sample of the values
   codec?: CompressionCodec // per-column codec override, default ParquetWriteOptions.codec
+  pageVersion?: PageVersion // per-column data page version, default ParquetWriteOptions.pageVersion
   columnIndex?: boolean // write column indexes, default false
   offsetIndex?: boolean // write offset indexes, default true
+  pageStatistics?: boolean // write min, max and null count in each data page header, default false
   shredding?: true | ShredType // variant shredding config (true = auto-detect)
   bloomFilter?: boolean | BloomFilterOptions // write bloom filter, default false
 }
@@ -77,10 +184,14 @@ export interface ColumnEncoder {
   compressors: Compressors
   stats: boolean
   pageSize: number
+  pageVersion?: PageVersion // default 2
+  pageRowLimit?: number // max rows per page, default no limit
+  pageChecksums?: boolean // default false
   // Spec: If ColumnIndex is present, OffsetIndex must also be present
   columnIndex: boolean
   offsetIndex: boolean
-  encoding?: Encoding // user-specified encoding
+  pageStatistics?: boolean // default false
+  encoding?: Encoding | 'auto' // user-specified encoding
   bloomFilter?: boolean | BloomFilterOptions
 }
 
@@ -99,6 +210,7 @@ export interface Writer {
   ensure(size: number): void
   flush?(): void | Promise<void>
   finish(): void | Promise<void>
+  abort?(reason?: any): void | Promise<void> // discard a partial write, called when a write is aborted
   getBuffer(): ArrayBuffer
   getBytes(): Uint8Array
   appendUint8(value: number): void
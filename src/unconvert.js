@@ -186,6 +186,8 @@ export function unconvertMinMax(value, element, isMax) {
     return unconvertUuid(value)
   }
   if (converted_type === 'DECIMAL') {
+    // already encoded, as read back from an existing file
+    if (value instanceof Uint8Array) return value
     if (typeof value !== 'number') throw new Error('DECIMAL must be a number')
     const factor = 10 ** (element.scale || 0)
     const out = unconvertDecimal(element, BigInt(Math.round(value * factor)))
@@ -1,9 +1,9 @@
-import { ParquetWriter, groupSize } from './parquet-writer.js'
+import { ParquetWriter, abortWriter, columnElements, estimateRowSize, groupSize, transposeWindow } from './parquet-writer.js'
 import { schemaFromColumnData } from './schema.js'
 
 /**
- * @import {DecodedArray} from 'hyparquet'
- * @import {ColumnSource, ParquetWriteRowsOptions} from '../src/types.js'
+ * @import {SchemaElement} from 'hyparquet'
+ * @import {ColumnSource, ParquetWriteResult, ParquetWriteRowsOptions} from '../src/types.js'
  */
 
 /**
@@ -27,13 +27,32 @@ import { schemaFromColumnData } from './schema.js'
  * inferred from the first group's values unless one is supplied.
  *
  * Takes the same write options as {@link parquetWrite} (codec, compressors,
- * statistics, rowGroupSize, pageSize, kvMetadata, schema) at the top level,
- * minus `columnData`, since `rows` and `columns` describe the data instead.
+ * statistics, rowGroupSize, rowGroupBytes, pageSize, kvMetadata, schema) at the
+ * top level, minus `columnData`, since `rows` and `columns` describe the data
+ * instead.
+ *
+ * `maxBufferedBytes` bounds memory for rows of very different sizes: a group
+ * is written early once the estimated in-memory size of its buffered values
+ * reaches the budget. Unlike `rowGroupBytes`, which estimates the encoded size
+ * from the schema (4 bytes for an INT32), values are sized by their contents
+ * alone: 8 bytes for numbers, bigints and dates, 1 for booleans, and the length
+ * of strings, byte arrays, and JSON and variant objects. Like `rowGroupBytes`,
+ * it makes `rowGroupSize` default to no row limit.
+ *
+ * With `signal`, the write is checked for cancellation between row groups,
+ * column chunks, and rows pulled from the source. Once aborted, no more rows
+ * are pulled (a pending pull from an async source is abandoned and the source
+ * is returned), writer.abort() is called, and the write throws (or rejects with)
+ * the signal's reason, an AbortError by default.
+ *
+ * Returns the metadata and report of the file written, like {@link parquetWrite}.
+ * The `num_rows` of each row group in the metadata is the number of rows
+ * actually written per group.
  *
  * @param {ParquetWriteRowsOptions} options
- * @returns {void | Promise<void>}
+ * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
  */
-export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize = [1000, 100000], pageSize, ...options }) {
+export function parquetWriteRows({ writer, rows, columns, schema, rowGroupBytes, maxBufferedBytes, rowGroupSize = rowGroupBytes || maxBufferedBytes ? Infinity : [1000, 100000], pageSize, signal, ...options }) {
   if (!Array.isArray(columns) || columns.length === 0) {
     throw new Error('parquetWriteRows requires a non-empty columns array')
   }
@@ -56,6 +75,44 @@ export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize =
 
   /** @type {ParquetWriter | undefined} */
   let pq
+  /** @type {(SchemaElement | undefined)[] | undefined} */
+  let elements
+
+  /**
+   * Estimated encoded size of a row, sized by the schema once it is known.
+   * @param {Record<string, any>} row
+   * @returns {number}
+   */
+  function rowSize(row) {
+    const known = pq?.schema ?? schema
+    if (known && !elements) elements = columnElements(known, fields)
+    return estimateRowSize(row, fields, elements)
+  }
+
+  /**
+   * Estimated in-memory size of a row's values, for maxBufferedBytes. Sized by
+   * content without the schema, unlike {@link rowSize}.
+   * @param {Record<string, any>} row
+   * @returns {number}
+   */
+  function bufferedSize(row) {
+    return estimateRowSize(row, fields)
+  }
+
+  /**
+   * Whether a group of `count` rows is complete, given its estimated encoded
+   * `bytes` and estimated `buffered` memory.
+   * @param {number} count
+   * @param {number} bytes
+   * @param {number} buffered
+   * @param {number} g group index
+   * @returns {boolean}
+   */
+  function groupFull(count, bytes, buffered, g) {
+    return count >= groupSize(rowGroupSize, g) ||
+      rowGroupBytes !== undefined && bytes >= rowGroupBytes ||
+      maxBufferedBytes !== undefined && buffered >= maxBufferedBytes
+  }
 
   /**
    * Yield successive row-group windows. For an array these index straight into
@@ -70,22 +127,36 @@ export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize =
       let i = 0
       let g = 0
       while (i < rows.length) {
-        const size = Math.min(groupSize(rowGroupSize, g++), rows.length - i)
+        let size = 0
+        let bytes = 0
+        let buffered = 0
+        while (i + size < rows.length) {
+          if (rowGroupBytes) bytes += rowSize(rows[i + size])
+          if (maxBufferedBytes) buffered += bufferedSize(rows[i + size])
+          size++
+          if (groupFull(size, bytes, buffered, g)) break
+        }
+        g++
         yield { src: rows, start: i, size }
         i += size
       }
     } else {
       /** @type {Record<string, any>[]} */
       let batch = []
+      let bytes = 0
+      let buffered = 0
       let g = 0
-      let target = groupSize(rowGroupSize, 0)
       // This branch only runs for a sync iterable; the async case uses drainAsync.
       for (const row of source) {
         batch.push(row)
-        if (batch.length >= target) {
+        if (rowGroupBytes) bytes += rowSize(row)
+        if (maxBufferedBytes) buffered += bufferedSize(row)
+        if (groupFull(batch.length, bytes, buffered, g)) {
           yield { src: batch, start: 0, size: batch.length }
           batch = []
-          target = groupSize(rowGroupSize, ++g)
+          bytes = 0
+          buffered = 0
+          g++
         }
       }
       if (batch.length) yield { src: batch, start: 0, size: batch.length }
@@ -112,7 +183,15 @@ export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize =
     if (!pq) {
       pq = new ParquetWriter({ writer, schema: schema ?? schemaFromColumnData({ columnData }), ...options })
     }
-    return pq.write({ columnData, rowGroupSize: size, pageSize })
+    return pq.write({ columnData, rowGroupSize: size, pageSize, signal })
+  }
+
+  /**
+   * Stop writing after the signal is aborted, see {@link ParquetWriter#abort}.
+   * @returns {Promise<never>}
+   */
+  function abort() {
+    return abortWriter(writer, signal?.reason)
   }
 
   const it = windows()
@@ -125,6 +204,7 @@ export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize =
    */
   function drain() {
     for (let next = it.next(); !next.done; next = it.next()) {
+      if (signal?.aborted) return abort()
       const { src, start, size } = next.value
       const r = writeWindow(src, start, size)
       if (r) return r.then(drain)
@@ -140,35 +220,76 @@ export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize =
    * @returns {Promise<void>}
    */
   async function drainAsync() {
+    /** @type {AsyncIterator<Record<string, any>>} */
+    const iterator = source[Symbol.asyncIterator]()
     /** @type {Record<string, any>[]} */
     let batch = []
+    let bytes = 0
+    let buffered = 0
     let g = 0
-    let target = groupSize(rowGroupSize, 0)
-    for await (const row of source) {
-      batch.push(row)
-      if (batch.length >= target) {
-        await writeWindow(batch, 0, batch.length)
-        batch = []
-        target = groupSize(rowGroupSize, ++g)
+    let done = false
+    try {
+      while (!signal?.aborted) {
+        const next = await nextRow(iterator)
+        if (!next) break
+        if (next.done) {
+          done = true
+          break
+        }
+        const row = next.value
+        batch.push(row)
+        if (rowGroupBytes) bytes += rowSize(row)
+        if (maxBufferedBytes) buffered += bufferedSize(row)
+        if (groupFull(batch.length, bytes, buffered, g)) {
+          await writeWindow(batch, 0, batch.length)
+          batch = []
+          bytes = 0
+          buffered = 0
+          g++
+        }
       }
+    } finally {
+      // return the source iterator so nothing more is pulled, without waiting
+      // on a source that is stalled in next()
+      if (!done) Promise.resolve(iterator.return?.()).catch(() => {})
     }
+    if (signal?.aborted) return abort()
     if (batch.length) await writeWindow(batch, 0, batch.length)
   }
 
+  /**
+   * Pull the next row from an async source, settling early with undefined if
+   * the signal aborts while waiting, so a stalled source can't hold up abort.
+   * @param {AsyncIterator<Record<string, any>>} iterator
+   * @returns {Promise<IteratorResult<Record<string, any>> | undefined>}
+   */
+  function nextRow(iterator) {
+    const next = iterator.next()
+    if (!signal) return next
+    const abortSignal = signal
+    return new Promise((resolve, reject) => {
+      function onAbort() {
+        resolve(undefined)
+      }
+      abortSignal.addEventListener('abort', onAbort, { once: true })
+      next.then(resolve, reject).finally(() => abortSignal.removeEventListener('abort', onAbort))
+    })
+  }
+
   /**
    * Emit an empty file if no rows were written, then finish.
-   * @returns {void | Promise<void>}
+   * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
    */
   function finish() {
-    if (!pq) {
-      // No rows written: emit a valid empty file with the declared columns.
-      /** @type {ColumnSource[]} */
-      const columnData = columns.map(spec => ({ ...spec, data: [] }))
-      pq = new ParquetWriter({ writer, schema: schema ?? schemaFromColumnData({ columnData }), ...options })
-      const w = pq.write({ columnData, rowGroupSize, pageSize })
-      if (w) return w.then(() => pq?.finish())
-    }
-    return pq?.finish()
+    if (signal?.aborted) return abort()
+    if (pq) return pq.finish()
+    // No rows written: emit a valid empty file with the declared columns.
+    /** @type {ColumnSource[]} */
+    const columnData = columns.map(spec => ({ ...spec, data: [] }))
+    const empty = new ParquetWriter({ writer, schema: schema ?? schemaFromColumnData({ columnData }), ...options })
+    pq = empty
+    const w = empty.write({ columnData, rowGroupSize, pageSize })
+    return w ? w.then(() => empty.finish()) : empty.finish()
   }
 
   // An async source forces an async return: the rows can't be pulled synchronously.
@@ -176,23 +297,3 @@ export function parquetWriteRows({ writer, rows, columns, schema, rowGroupSize =
   const drained = drain()
   return drained ? drained.then(finish) : finish()
 }
-
-/**
- * Transpose a window of row objects into one array per field, in a single pass.
- *
- * @param {Record<string, any>[]} rows
- * @param {string[]} fields
- * @param {number} start
- * @param {number} size
- * @returns {DecodedArray[]}
- */
-function transposeWindow(rows, fields, start, size) {
-  const width = fields.length
-  const cols = new Array(width)
-  for (let c = 0; c < width; c++) cols[c] = new Array(size)
-  for (let k = 0; k < size; k++) {
-    const row = rows[start + k]
-    for (let c = 0; c < width; c++) cols[c][k] = row[fields[c]]
-  }
-  return cols
-}
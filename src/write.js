@@ -1,17 +1,26 @@
+import { parquetSchema } from 'hyparquet'
 import { ByteWriter } from './bytewriter.js'
 import { ParquetWriter } from './parquet-writer.js'
-import { schemaFromColumnData } from './schema.js'
+import { schemaEquals, schemaFromColumnData } from './schema.js'
 import { autoDetectShredding, normalizeShreddingConfig } from './variant.js'
 
 /**
- * @import {ParquetWriteOptions} from '../src/types.js'
+ * @import {SchemaElement} from 'hyparquet'
+ * @import {ColumnSource, ParquetAppendOptions, ParquetWriteOptions, ParquetWriteResult} from '../src/types.js'
  */
 
 /**
  * Write data as parquet to a file or stream.
+ * Returns the metadata written to the file footer and a report of the columns
+ * written (see {@link ParquetWriter#finish}), or a promise of them if the
+ * writer is asynchronous.
+ *
+ * With `signal`, the write is checked for cancellation between row groups and
+ * column chunks. Once aborted, it calls writer.abort() and throws (or rejects
+ * with) the signal's reason, an AbortError by default.
  *
  * @param {ParquetWriteOptions} options
- * @returns {void | Promise<void>}
+ * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
  */
 export function parquetWrite({
   writer,
@@ -20,22 +29,19 @@ export function parquetWrite({
   codec = 'SNAPPY',
   compressors,
   statistics = true,
-  rowGroupSize = [1000, 100000],
+  rowGroupSize,
+  rowGroupBytes,
   kvMetadata,
   pageSize = 1048576,
+  signal,
+  onProgress,
+  sortBy,
+  clusterBy,
+  pageVersion,
+  pageRowLimit,
+  pageChecksums,
 }) {
-  // Resolve shredding: true -> auto-detected config
-  columnData = columnData.map(col => {
-    if (col.shredding === true && col.type === 'VARIANT') {
-      const detected = autoDetectShredding(Array.from(col.data))
-      return detected ? { ...col, shredding: detected } : { ...col, shredding: undefined }
-    }
-    if (col.shredding !== undefined && col.shredding !== true && col.type === 'VARIANT') {
-      const shredding = normalizeShreddingConfig(col.shredding)
-      return shredding ? { ...col, shredding } : { ...col, shredding: undefined }
-    }
-    return col
-  })
+  columnData = resolveShredding(columnData)
   if (!schema) {
     schema = schemaFromColumnData({ columnData })
   } else if (columnData.some(({ type }) => type)) {
@@ -50,13 +56,91 @@ export function parquetWrite({
     compressors,
     statistics,
     kvMetadata,
+    onProgress,
+    sortBy,
+    clusterBy,
+    pageVersion,
+    pageRowLimit,
+    pageChecksums,
   })
   const w = pq.write({
     columnData,
     rowGroupSize,
+    rowGroupBytes,
     pageSize,
+    signal,
   })
-  return w ? w.then(() => pq.finish()) : pq.finish()
+  return w ? w.then(() => finishUnlessAborted(pq, signal)) : finishUnlessAborted(pq, signal)
+}
+
+/**
+ * Append row groups to an existing parquet file.
+ *
+ * The existing row groups are kept as they are, and the new data is written
+ * after them, followed by a merged footer. The column names, and the schema or
+ * column types if given, must match the existing file.
+ *
+ * @param {ParquetAppendOptions} options
+ * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
+ */
+export function parquetAppend({
+  writer,
+  file,
+  columnData,
+  schema,
+  codec = 'SNAPPY',
+  compressors,
+  statistics = true,
+  rowGroupSize,
+  rowGroupBytes,
+  kvMetadata,
+  pageSize = 1048576,
+  signal,
+  onProgress,
+  sortBy,
+  clusterBy,
+  pageVersion,
+  pageRowLimit,
+  pageChecksums,
+}) {
+  const pq = ParquetWriter.open({ writer, file, schema, codec, compressors, statistics, kvMetadata, onProgress, sortBy, clusterBy, pageVersion, pageRowLimit, pageChecksums })
+  columnData = checkAppendColumns(pq.schema, columnData, schema)
+
+  const w = pq.write({
+    columnData,
+    rowGroupSize,
+    rowGroupBytes,
+    pageSize,
+    signal,
+  })
+  return w ? w.then(() => finishUnlessAborted(pq, signal)) : finishUnlessAborted(pq, signal)
+}
+
+/**
+ * Check that the columns to append, and the schema if given, match the schema
+ * of the existing file, so that nothing is written if they do not.
+ *
+ * @param {SchemaElement[]} existing schema of the existing file
+ * @param {ColumnSource[]} columnData
+ * @param {SchemaElement[]} [schema]
+ * @returns {ColumnSource[]} columnData with variant shredding resolved
+ */
+export function checkAppendColumns(existing, columnData, schema) {
+  if (schema && !schemaEquals(schema, existing)) {
+    throw new Error('parquet schema does not match existing file')
+  }
+  columnData = resolveShredding(columnData)
+  const names = parquetSchema({ schema: existing }).children.map(child => child.element.name)
+  if (names.join() !== columnData.map(c => c.name).join()) {
+    throw new Error(`parquet append columns must match existing file: ${names.join(', ')}`)
+  }
+  if (columnData.some(({ type }) => type)) {
+    if (schema) throw new Error('cannot provide both schema and columnData type')
+    if (!schemaEquals(schemaFromColumnData({ columnData }), existing)) {
+      throw new Error('parquet schema does not match existing file')
+    }
+  }
+  return columnData
 }
 
 /**
@@ -70,3 +154,35 @@ export function parquetWriteBuffer(options) {
   parquetWrite({ ...options, writer })
   return writer.getBuffer()
 }
+
+/**
+ * Write the footer, or abort the file if the signal was aborted while the
+ * last row group was being written.
+ *
+ * @param {ParquetWriter} pq
+ * @param {AbortSignal} [signal]
+ * @returns {ParquetWriteResult | Promise<ParquetWriteResult>}
+ */
+function finishUnlessAborted(pq, signal) {
+  return signal?.aborted ? pq.abort(signal.reason) : pq.finish()
+}
+
+/**
+ * Resolve variant shredding: true -> auto-detected config.
+ *
+ * @param {ColumnSource[]} columnData
+ * @returns {ColumnSource[]}
+ */
+function resolveShredding(columnData) {
+  return columnData.map(col => {
+    if (col.shredding === true && col.type === 'VARIANT') {
+      const detected = autoDetectShredding(Array.from(col.data))
+      return detected ? { ...col, shredding: detected } : { ...col, shredding: undefined }
+    }
+    if (col.shredding !== undefined && col.shredding !== true && col.type === 'VARIANT') {
+      const shredding = normalizeShreddingConfig(col.shredding)
+      return shredding ? { ...col, shredding } : { ...col, shredding: undefined }
+    }
+    return col
+  })
+}
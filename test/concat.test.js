@@ -0,0 +1,150 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { readOffsetIndex } from 'hyparquet/src/indexes.js'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, parquetConcat, parquetWriteBuffer } from '../src/index.js'
+import { chunkRange } from '../src/footer.js'
+import { exampleData } from './example.js'
+
+/**
+ * @import {ParquetConcatOptions, Writer} from '../src/types.js'
+ */
+
+/**
+ * @param {Omit<ParquetConcatOptions, 'writer'>} options
+ * @returns {ArrayBuffer}
+ */
+function concatBuffer(options) {
+  const writer = new ByteWriter()
+  parquetConcat({ ...options, writer })
+  return writer.getBuffer()
+}
+
+/**
+ * @param {number} start
+ * @returns {ArrayBuffer}
+ */
+function indexedFile(start) {
+  return parquetWriteBuffer({
+    columnData: [
+      { name: 'id', data: Array.from({ length: 100 }, (_, i) => start + i), type: 'INT32', columnIndex: true, bloomFilter: true },
+      { name: 'color', data: Array.from({ length: 100 }, (_, i) => ['red', 'green', 'blue'][i % 3]), type: 'STRING' },
+    ],
+    pageSize: 100,
+    rowGroupSize: 50,
+  })
+}
+
+describe('parquetConcat', () => {
+  it('merges the rows of all files in order', async () => {
+    const files = [indexedFile(0), indexedFile(100), indexedFile(200)]
+    const merged = concatBuffer({ files })
+
+    const metadata = parquetMetadata(merged)
+    expect(metadata.num_rows).toBe(300n)
+    expect(metadata.row_groups).toHaveLength(6)
+    const rows = await parquetReadObjects({ file: merged })
+    expect(rows.map(row => row.id)).toEqual(Array.from({ length: 300 }, (_, i) => i))
+    expect(rows[299].color).toBe('red')
+  })
+
+  it('copies column chunk bytes unchanged', () => {
+    const files = [indexedFile(0), indexedFile(100)]
+    const merged = concatBuffer({ files })
+
+    const metadata = parquetMetadata(merged)
+    const sources = files.flatMap(file => parquetMetadata(file).row_groups.map(rowGroup => ({ file, rowGroup })))
+    metadata.row_groups.forEach((rowGroup, i) => {
+      const source = sources[i]
+      rowGroup.columns.forEach((chunk, j) => {
+        const { start, end } = chunkRange(chunk)
+        const original = chunkRange(source.rowGroup.columns[j])
+        expect(new Uint8Array(merged, start, end - start))
+          .toEqual(new Uint8Array(source.file, original.start, original.end - original.start))
+        expect(chunk.meta_data?.statistics).toEqual(source.rowGroup.columns[j].meta_data?.statistics)
+      })
+    })
+  })
+
+  it('keeps decimal and float16 statistics', () => {
+    const file = parquetWriteBuffer({
+      columnData: [
+        { name: 'price', data: [1234567.89, -42.5, 0.01] },
+        { name: 'half', data: [0.09674, 1.5, -2] },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'price', type: 'INT32', converted_type: 'DECIMAL', scale: 2, precision: 9, repetition_type: 'REQUIRED' },
+        { name: 'half', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 2, logical_type: { type: 'FLOAT16' }, repetition_type: 'REQUIRED' },
+      ],
+    })
+    const merged = concatBuffer({ files: [file, file] })
+
+    const before = parquetMetadata(file).row_groups[0].columns.map(chunk => chunk.meta_data?.statistics)
+    for (const rowGroup of parquetMetadata(merged).row_groups) {
+      expect(rowGroup.columns.map(chunk => chunk.meta_data?.statistics)).toEqual(before)
+    }
+  })
+
+  it('rebases dictionary page offsets and offset indexes', async () => {
+    const merged = concatBuffer({ files: [indexedFile(0), indexedFile(100)] })
+    const metadata = parquetMetadata(merged)
+
+    const last = metadata.row_groups[3]
+    const [id, color] = last.columns
+    expect(color.meta_data?.dictionary_page_offset).toBe(color.file_offset)
+    const offsetIndex = readOffsetIndex({
+      view: new DataView(merged, Number(id.offset_index_offset), id.offset_index_length),
+      offset: 0,
+    })
+    expect(offsetIndex.page_locations[0].offset).toBe(id.meta_data?.data_page_offset)
+
+    const rows = await parquetReadObjects({ file: merged, filter: { id: { $eq: 175 } }, useOffsetIndex: true })
+    expect(rows).toEqual([{ id: 175, color: 'red' }])
+  })
+
+  it('keeps bloom filters and column indexes', () => {
+    const merged = concatBuffer({ files: [indexedFile(0), indexedFile(100)] })
+    for (const rowGroup of parquetMetadata(merged).row_groups) {
+      const [id] = rowGroup.columns
+      expect(id.meta_data?.bloom_filter_offset).toBeDefined()
+      expect(id.column_index_offset).toBeDefined()
+    }
+  })
+
+  it('keeps key-value metadata of the first file unless given', () => {
+    const first = parquetWriteBuffer({ columnData: exampleData, kvMetadata: [{ key: 'a', value: '1' }] })
+    const second = parquetWriteBuffer({ columnData: exampleData, kvMetadata: [{ key: 'b', value: '2' }] })
+    expect(parquetMetadata(concatBuffer({ files: [first, second] })).key_value_metadata)
+      .toEqual([{ key: 'a', value: '1' }])
+    expect(parquetMetadata(concatBuffer({ files: [first, second], kvMetadata: [{ key: 'c', value: '3' }] })).key_value_metadata)
+      .toEqual([{ key: 'c', value: '3' }])
+  })
+
+  it('awaits an async writer flush between row groups', async () => {
+    /** @type {Writer} */
+    const writer = new ByteWriter()
+    let flushes = 0
+    writer.flush = async () => {
+      await Promise.resolve()
+      flushes++
+    }
+    const result = parquetConcat({ writer, files: [indexedFile(0), indexedFile(100)] })
+    expect(result).toBeInstanceOf(Promise)
+    await result
+    expect(flushes).toBe(4)
+    const rows = await parquetReadObjects({ file: writer.getBuffer() })
+    expect(rows).toHaveLength(200)
+  })
+
+  it('throws when the schemas do not match', () => {
+    const first = parquetWriteBuffer({ columnData: [{ name: 'a', data: [1, 2], type: 'INT32' }] })
+    const second = parquetWriteBuffer({ columnData: [{ name: 'a', data: [1n, 2n], type: 'INT64' }] })
+    const third = parquetWriteBuffer({ columnData: [{ name: 'b', data: [1, 2], type: 'INT32' }] })
+    expect(() => concatBuffer({ files: [first, second] })).toThrow('parquet concat schema of file 1 does not match file 0')
+    expect(() => concatBuffer({ files: [first, first, third] })).toThrow('parquet concat schema of file 2 does not match file 0')
+  })
+
+  it('throws when no files are given', () => {
+    expect(() => concatBuffer({ files: [] })).toThrow('parquetConcat requires at least one file')
+  })
+})
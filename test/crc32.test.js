@@ -0,0 +1,26 @@
+import { crc32 as zlibCrc32 } from 'zlib'
+import { describe, expect, it } from 'vitest'
+import { crc32 } from '../src/crc32.js'
+
+const encoder = new TextEncoder()
+
+describe('crc32', () => {
+  it.for([
+    { input: '', expected: 0 },
+    { input: 'a', expected: 0xe8b7be43 },
+    { input: '123456789', expected: 0xcbf43926 },
+    { input: 'The quick brown fox jumps over the lazy dog', expected: 0x414fa339 },
+  ])('checksums $input', ({ input, expected }) => {
+    expect(crc32(encoder.encode(input))).toBe(expected | 0)
+  })
+
+  it('matches zlib for random bytes', () => {
+    const bytes = Uint8Array.from({ length: 10000 }, (_, i) => i * 7919 % 251)
+    expect(crc32(bytes) >>> 0).toBe(zlibCrc32(bytes))
+  })
+
+  it('checksums chunks as if concatenated', () => {
+    const bytes = encoder.encode('hyparquet-writer')
+    expect(crc32(bytes.subarray(0, 5), bytes.subarray(5), new Uint8Array())).toBe(crc32(bytes))
+  })
+})
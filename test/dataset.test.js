@@ -0,0 +1,231 @@
+import fs from 'fs'
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, parquetWritePartitions } from '../src/index.js'
+import { parquetWriteDataset } from '../src/node.js'
+
+/**
+ * @import {ParquetWritePartitionsOptions, Writer} from '../src/types.js'
+ */
+
+/**
+ * Write a partitioned dataset to in-memory files.
+ *
+ * @param {Omit<ParquetWritePartitionsOptions, 'createWriter'>} options
+ * @returns {Promise<{ files: { filename: string, rows: number, bytes: number }[], outputs: Map<string, ByteWriter> }>}
+ */
+async function writePartitions(options) {
+  /** @type {Map<string, ByteWriter>} */
+  const outputs = new Map()
+  const files = await parquetWritePartitions({
+    ...options,
+    createWriter(filename) {
+      const writer = new ByteWriter()
+      outputs.set(filename, writer)
+      return writer
+    },
+  })
+  return { files, outputs }
+}
+
+const sales = [
+  { date: '2026-10-01', country: 'US', amount: 10 },
+  { date: '2026-10-01', country: 'FR', amount: 20 },
+  { date: '2026-10-02', country: 'US', amount: 30 },
+  { date: '2026-10-01', country: 'US', amount: 40 },
+  { date: '2026-10-02', country: 'US', amount: 50 },
+]
+const columns = [{ name: 'date' }, { name: 'country' }, { name: 'amount' }]
+
+describe('parquetWritePartitions', () => {
+  it('routes rows into hive-style partition directories', async () => {
+    const { files, outputs } = await writePartitions({ rows: sales, columns, partitionBy: ['date', 'country'] })
+
+    // files are finished least recently used first
+    expect(files.map(file => [file.filename, file.rows])).toEqual([
+      ['date=2026-10-01/country=FR/part-0.parquet', 1],
+      ['date=2026-10-01/country=US/part-0.parquet', 2],
+      ['date=2026-10-02/country=US/part-0.parquet', 2],
+    ])
+    const file = outputs.get('date=2026-10-01/country=US/part-0.parquet')?.getBuffer() ?? new ArrayBuffer(0)
+    // partition columns are dropped from the file
+    expect(parquetMetadata(file).schema.map(element => element.name)).toEqual(['root', 'amount'])
+    expect(await parquetReadObjects({ file })).toEqual([{ amount: 10 }, { amount: 40 }])
+  })
+
+  it('closes the least recently used partition beyond maxOpenWriters', async () => {
+    const rows = ['a', 'b', 'a', 'c', 'a', 'b'].map((key, i) => ({ key, i }))
+    const { files, outputs } = await writePartitions({
+      rows,
+      columns: [{ name: 'key' }, { name: 'i' }],
+      partitionBy: ['key'],
+      maxOpenWriters: 2,
+    })
+
+    // b is closed to open c, and c to reopen b as a new part
+    expect(files.map(file => [file.filename, file.rows])).toEqual([
+      ['key=b/part-0.parquet', 1],
+      ['key=c/part-0.parquet', 1],
+      ['key=a/part-0.parquet', 3],
+      ['key=b/part-1.parquet', 1],
+    ])
+    const part = outputs.get('key=b/part-1.parquet')?.getBuffer() ?? new ArrayBuffer(0)
+    expect(await parquetReadObjects({ file: part })).toEqual([{ i: 5 }])
+  })
+
+  it('splits partitions into row groups', async () => {
+    const rows = Array.from({ length: 250 }, (_, i) => ({ even: i % 2 === 0, i }))
+    const { outputs } = await writePartitions({
+      rows,
+      columns: [{ name: 'even' }, { name: 'i' }],
+      partitionBy: ['even'],
+      rowGroupSize: 50,
+    })
+    const file = outputs.get('even=true/part-0.parquet')?.getBuffer() ?? new ArrayBuffer(0)
+    expect(parquetMetadata(file).row_groups.map(rg => rg.num_rows)).toEqual([50n, 50n, 25n])
+  })
+
+  it('escapes partition values', async () => {
+    const rows = [
+      { key: null, value: 1 },
+      { key: 'a/b=c', value: 2 },
+      { key: new Date('2026-10-01T00:00:00Z'), value: 3 },
+      { key: 100n, value: 4 },
+      { key: 'tab\there\x7f', value: 5 },
+      { key: '', value: 6 },
+    ]
+    const { files } = await writePartitions({ rows, columns: [{ name: 'key' }, { name: 'value' }], partitionBy: ['key'] })
+    // empty strings share the default partition with null
+    expect(files.map(file => [file.filename, file.rows])).toEqual([
+      ['key=a%2Fb%3Dc/part-0.parquet', 1],
+      ['key=2026-10-01/part-0.parquet', 1],
+      ['key=100/part-0.parquet', 1],
+      ['key=tab%09here%7F/part-0.parquet', 1],
+      ['key=__HIVE_DEFAULT_PARTITION__/part-0.parquet', 2],
+    ])
+  })
+
+  it('writes rows from an async iterable to an async sink', async () => {
+    async function* source() {
+      yield* sales
+    }
+    let flushes = 0
+    const result = parquetWritePartitions({
+      rows: source(),
+      columns,
+      partitionBy: ['country'],
+      createWriter() {
+        /** @type {Writer} */
+        const writer = new ByteWriter()
+        writer.flush = async () => {
+          await Promise.resolve()
+          flushes++
+        }
+        return writer
+      },
+    })
+    expect(result).toBeInstanceOf(Promise)
+    const files = await result
+    expect(files.map(file => [file.filename, file.rows])).toEqual([
+      ['country=FR/part-0.parquet', 1],
+      ['country=US/part-0.parquet', 4],
+    ])
+    expect(flushes).toBe(2)
+  })
+
+  it('aborts open writers when an async source rejects', async () => {
+    async function* source() {
+      yield* sales
+      throw new Error('source failed')
+    }
+    /** @type {string[]} */
+    const aborted = []
+    const result = parquetWritePartitions({
+      rows: source(),
+      columns,
+      partitionBy: ['country'],
+      rowGroupSize: 1,
+      createWriter(filename) {
+        /** @type {Writer} */
+        const writer = new ByteWriter()
+        writer.abort = () => {
+          aborted.push(filename)
+        }
+        return writer
+      },
+    })
+    await expect(result).rejects.toThrow('source failed')
+    expect(aborted).toEqual(['country=FR/part-0.parquet', 'country=US/part-0.parquet'])
+  })
+
+  it('validates options', () => {
+    /** @returns {Writer} */
+    function createWriter() {
+      return new ByteWriter()
+    }
+    expect(() => parquetWritePartitions({ rows: sales, columns, partitionBy: [], createWriter }))
+      .toThrow('parquetWritePartitions requires a non-empty partitionBy array')
+    expect(() => parquetWritePartitions({ rows: sales, columns, partitionBy: ['region'], createWriter }))
+      .toThrow('parquetWritePartitions partition column not found: region')
+    expect(() => parquetWritePartitions({ rows: sales, columns: columns.slice(0, 1), partitionBy: ['date'], createWriter }))
+      .toThrow('parquetWritePartitions requires at least one non-partition column')
+    expect(() => parquetWritePartitions({ rows: sales, columns, partitionBy: ['date'], createWriter, maxOpenWriters: 0 }))
+      .toThrow('parquetWritePartitions maxOpenWriters must be at least 1')
+  })
+})
+
+describe('parquetWriteDataset', () => {
+  it('writes partition directories under baseDir', async () => {
+    const baseDir = 'data/dataset'
+    fs.rmSync(baseDir, { recursive: true, force: true })
+    try {
+      const files = parquetWriteDataset({ rows: sales, columns, partitionBy: ['date', 'country'], baseDir })
+      expect(files).toHaveLength(3)
+      expect(fs.readdirSync(`${baseDir}/date=2026-10-02`)).toEqual(['country=US'])
+      const buffer = fs.readFileSync(`${baseDir}/date=2026-10-02/country=US/part-0.parquet`)
+      const file = new Uint8Array(buffer).buffer
+      expect(await parquetReadObjects({ file })).toEqual([{ amount: 30 }, { amount: 50 }])
+      expect(fs.existsSync(`${baseDir}/_metadata`)).toBe(false)
+    } finally {
+      fs.rmSync(baseDir, { recursive: true, force: true })
+    }
+  })
+
+  it('writes _metadata and _common_metadata summary files', () => {
+    const baseDir = 'data/dataset-summary'
+    fs.rmSync(baseDir, { recursive: true, force: true })
+    try {
+      parquetWriteDataset({ rows: sales, columns, partitionBy: ['date', 'country'], baseDir, summary: true })
+
+      const summary = parquetMetadata(new Uint8Array(fs.readFileSync(`${baseDir}/_metadata`)).buffer)
+      expect(summary.num_rows).toBe(5n)
+      expect(summary.row_groups.map(rg => rg.columns[0].file_path)).toEqual([
+        'date=2026-10-01/country=FR/part-0.parquet',
+        'date=2026-10-01/country=US/part-0.parquet',
+        'date=2026-10-02/country=US/part-0.parquet',
+      ])
+      const common = parquetMetadata(new Uint8Array(fs.readFileSync(`${baseDir}/_common_metadata`)).buffer)
+      expect(common.schema).toEqual(summary.schema)
+      expect(common.row_groups).toEqual([])
+    } finally {
+      fs.rmSync(baseDir, { recursive: true, force: true })
+    }
+  })
+
+  it('aborts open files when the row source throws', () => {
+    const baseDir = 'data/dataset-error'
+    fs.rmSync(baseDir, { recursive: true, force: true })
+    function* rows() {
+      yield* sales
+      throw new Error('source failed')
+    }
+    try {
+      expect(() => parquetWriteDataset({ rows: rows(), columns, partitionBy: ['country'], baseDir, rowGroupSize: 1 }))
+        .toThrow('source failed')
+      const written = fs.readdirSync(baseDir, { recursive: true }).filter(name => String(name).endsWith('.parquet'))
+      expect(written).toEqual([])
+    } finally {
+      fs.rmSync(baseDir, { recursive: true, force: true })
+    }
+  })
+})
@@ -1,8 +1,12 @@
 import { describe, expect, it } from 'vitest'
 import { ByteWriter } from '../src/bytewriter.js'
-import { estimateValueSize, useDictionary, writeDictionaryPage } from '../src/dictionary.js'
+import { estimateColumnValueSize, estimateValueSize, useDictionary, writeDictionaryPage } from '../src/dictionary.js'
 import { writePlain } from '../src/plain.js'
 
+/**
+ * @import {SchemaElement} from 'hyparquet'
+ */
+
 /**
  * FNV-1a hash, mirroring the byte-array bucketing in src/dictionary.js. Used
  * here only to assert that the chosen collision pair genuinely collides.
@@ -45,6 +49,23 @@ describe('estimateValueSize', () => {
   })
 })
 
+describe('estimateColumnValueSize', () => {
+  it('sizes primitive columns by physical type', () => {
+    expect(estimateColumnValueSize(1, { name: 'a', type: 'INT32' })).toBe(4)
+    expect(estimateColumnValueSize('hello', { name: 'a', type: 'BYTE_ARRAY' })).toBe(5)
+    expect(estimateColumnValueSize(null, { name: 'a', type: 'INT64' })).toBe(0)
+  })
+
+  it('sizes json, nested and untyped values by their contents', () => {
+    /** @type {SchemaElement} */
+    const json = { name: 'a', type: 'BYTE_ARRAY', logical_type: { type: 'JSON' } }
+    expect(estimateColumnValueSize({ key: 'value' }, json)).toBe(8)
+    expect(estimateColumnValueSize([1, 2, 3], { name: 'list' })).toBe(24)
+    expect(estimateColumnValueSize({ a: 'xy', b: [true, null] })).toBe(5)
+    expect(estimateColumnValueSize(new Uint8Array(10))).toBe(10)
+  })
+})
+
 describe('useDictionary', () => {
   it('dedupes repeated strings', () => {
     const { dictionary, indexes } = useDictionary(['x', 'x', 'x', 'x', 'y'], 'BYTE_ARRAY', undefined, undefined, 0)
@@ -110,7 +131,7 @@ describe('useDictionary', () => {
     expect(indexes).toEqual([0, 0, 0, 0, undefined]) // null slot left empty
   })
 
-  it('falls back when the dictionary would exceed pageSize', () => {
+  it('stops the dictionary where it would exceed pageSize', () => {
     // three distinct 50-byte blobs cycled; low cardinality clears the sample
     // check, but cumulative dictionary size (150) exceeds pageSize (120)
     function a() { return new Uint8Array(50).fill(1) }
@@ -118,6 +139,13 @@ describe('useDictionary', () => {
     function c() { return new Uint8Array(50).fill(3) }
     const data = []
     for (let i = 0; i < 30; i++) data.push([a, b, c][i % 3]())
+    const { dictionary, indexes } = useDictionary(data, 'BYTE_ARRAY', undefined, undefined, 120)
+    expect(dictionary).toEqual([a(), b()])
+    expect(indexes).toEqual([0, 1]) // the rest fall back to another encoding
+  })
+
+  it('falls back when the first value exceeds pageSize', () => {
+    const data = Array.from({ length: 10 }, () => new Uint8Array(200))
     expect(useDictionary(data, 'BYTE_ARRAY', undefined, undefined, 120)).toEqual({})
   })
 })
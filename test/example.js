@@ -39,7 +39,7 @@ export const exampleMetadata = {
           path_in_schema: ['bool'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 24n,
+          total_uncompressed_size: 22n,
           total_compressed_size: 24n,
           data_page_offset: 4n,
           statistics: {
@@ -60,7 +60,7 @@ export const exampleMetadata = {
           path_in_schema: ['int'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 39n,
+          total_uncompressed_size: 37n,
           total_compressed_size: 39n,
           data_page_offset: 28n,
           statistics: {
@@ -81,7 +81,7 @@ export const exampleMetadata = {
           path_in_schema: ['bigint'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 43n,
+          total_uncompressed_size: 53n,
           total_compressed_size: 43n,
           data_page_offset: 67n,
           statistics: {
@@ -102,7 +102,7 @@ export const exampleMetadata = {
           path_in_schema: ['float'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 39n,
+          total_uncompressed_size: 37n,
           total_compressed_size: 39n,
           data_page_offset: 110n,
           statistics: {
@@ -123,7 +123,7 @@ export const exampleMetadata = {
           path_in_schema: ['double'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 51n,
+          total_uncompressed_size: 53n,
           total_compressed_size: 51n,
           data_page_offset: 149n,
           statistics: {
@@ -144,7 +144,7 @@ export const exampleMetadata = {
           path_in_schema: ['string'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 42n,
+          total_uncompressed_size: 41n,
           total_compressed_size: 42n,
           data_page_offset: 200n,
           statistics: {
@@ -155,6 +155,9 @@ export const exampleMetadata = {
           encoding_stats: [
             { page_type: 'DATA_PAGE_V2', encoding: 'PLAIN', count: 1 },
           ],
+          size_statistics: {
+            unencoded_byte_array_data_bytes: 4n,
+          },
         },
       },
       {
@@ -165,7 +168,7 @@ export const exampleMetadata = {
           path_in_schema: ['nullable'],
           codec: 'SNAPPY',
           num_values: 4n,
-          total_uncompressed_size: 26n,
+          total_uncompressed_size: 24n,
           total_compressed_size: 26n,
           data_page_offset: 242n,
           statistics: {
@@ -176,11 +179,14 @@ export const exampleMetadata = {
           encoding_stats: [
             { page_type: 'DATA_PAGE_V2', encoding: 'PLAIN', count: 1 },
           ],
+          size_statistics: {
+            definition_level_histogram: [2n, 2n],
+          },
         },
       },
     ],
     total_byte_size: 264n,
     num_rows: 4n,
   }],
-  metadata_length: 508,
+  metadata_length: 518,
 }
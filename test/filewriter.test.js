@@ -1,10 +1,20 @@
 import fs from 'fs'
-import { afterEach, beforeEach, describe, expect, it } from 'vitest'
-import { fileWriter } from '../src/node.js'
+import process from 'process'
+import { setTimeout as delay } from 'timers/promises'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { asyncFileWriter, fileWriter } from '../src/node.js'
 
 const filedir = 'data/'
 const filename = 'data/filewriter.test.bin'
 
+/**
+ * Temporary files left next to the test file by atomic writers.
+ * @returns {string[]}
+ */
+function tempFiles() {
+  return fs.readdirSync(filedir).filter(name => name.startsWith('.filewriter.test.bin.'))
+}
+
 describe('FileWriter', () => {
   beforeEach(() => {
     // ensure data directory exists
@@ -18,6 +28,9 @@ describe('FileWriter', () => {
     if (fs.existsSync(filename)) {
       fs.unlinkSync(filename)
     }
+    for (const name of tempFiles()) {
+      fs.unlinkSync(`${filedir}${name}`)
+    }
   })
 
   it('file writer cannot return bytes buffer', () => {
@@ -76,6 +89,15 @@ describe('FileWriter', () => {
     expect(fs.statSync(filename).size).toBe(2_200_000)
   })
 
+  it('flushes at a configurable chunk size', () => {
+    const writer = fileWriter(filename, { chunkSize: 100 })
+    writer.appendBytes(new Uint8Array(150).fill(0xaa))
+    writer.appendUint8(0xbb)
+    expect(fs.statSync(filename).size).toBe(150)
+    writer.finish()
+    expect(fs.statSync(filename).size).toBe(151)
+  })
+
   it('overwrites existing file if new writer is created with same filename', () => {
     // first write
     let writer = fileWriter(filename)
@@ -95,4 +117,211 @@ describe('FileWriter', () => {
     contents = fs.readFileSync(filename)
     expect(new Uint8Array(contents)).toEqual(new Uint8Array([0xaa, 0xbb]))
   })
+
+  it('atomic writer renames the file into place on finish', () => {
+    fs.writeFileSync(filename, new Uint8Array([0x11, 0x22]))
+    const writer = fileWriter(filename, { atomic: true, chunkSize: 10 })
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    writer.appendUint8(0xbb)
+
+    // data has been flushed to a temporary file, target is untouched
+    expect(tempFiles()).toHaveLength(1)
+    expect(fs.statSync(`${filedir}${tempFiles()[0]}`).size).toBe(100)
+    expect(new Uint8Array(fs.readFileSync(filename))).toEqual(new Uint8Array([0x11, 0x22]))
+
+    const openSync = vi.spyOn(fs, 'openSync')
+    try {
+      writer.finish()
+      // the directory is synced after the rename
+      expect(openSync).toHaveBeenCalledWith('data', 'r')
+    } finally {
+      openSync.mockRestore()
+    }
+    expect(tempFiles()).toEqual([])
+    expect(fs.statSync(filename).size).toBe(101)
+  })
+
+  it('atomic writer removes the temporary file on abort', () => {
+    fs.writeFileSync(filename, new Uint8Array([0x11, 0x22]))
+    const writer = fileWriter(filename, { atomic: true, chunkSize: 10 })
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    writer.appendUint8(0xbb)
+    writer.abort()
+
+    expect(tempFiles()).toEqual([])
+    expect(new Uint8Array(fs.readFileSync(filename))).toEqual(new Uint8Array([0x11, 0x22]))
+  })
+
+  it('removes the partial file on abort', () => {
+    const writer = fileWriter(filename, { chunkSize: 10 })
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    writer.appendUint8(0xbb)
+    expect(fs.existsSync(filename)).toBe(true)
+    writer.abort()
+    expect(fs.existsSync(filename)).toBe(false)
+    // aborting twice is harmless
+    writer.abort()
+  })
+
+  it('truncates appended data on abort', () => {
+    fs.writeFileSync(filename, new Uint8Array([0x11, 0x22]))
+    const writer = fileWriter(filename, { append: true, chunkSize: 10 })
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    writer.appendUint8(0xbb)
+    writer.abort()
+    expect(new Uint8Array(fs.readFileSync(filename))).toEqual(new Uint8Array([0x11, 0x22]))
+  })
+
+  it('keeps the file when aborted after finish', () => {
+    const writer = fileWriter(filename)
+    writer.appendUint8(0xaa)
+    writer.finish()
+    writer.abort()
+    expect(new Uint8Array(fs.readFileSync(filename))).toEqual(new Uint8Array([0xaa]))
+  })
+
+  it('cannot both append and write atomically', () => {
+    expect(() => fileWriter(filename, { append: true, atomic: true }))
+      .toThrow('fileWriter cannot both append and write atomically')
+  })
+})
+
+describe('asyncFileWriter', () => {
+  beforeEach(() => {
+    if (!fs.existsSync(filedir)) {
+      fs.mkdirSync(filedir)
+    }
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(filename)) {
+      fs.unlinkSync(filename)
+    }
+    for (const name of tempFiles()) {
+      fs.unlinkSync(`${filedir}${name}`)
+    }
+  })
+
+  it('file writer cannot return bytes buffer', async () => {
+    const writer = asyncFileWriter(filename)
+    expect(() => writer.getBuffer()).toThrowError('getBuffer not supported')
+    expect(() => writer.getBytes()).toThrowError('getBytes not supported')
+    await writer.finish()
+  })
+
+  it('writes data to file on finish', async () => {
+    const writer = asyncFileWriter(filename)
+    writer.appendUint8(0xab)
+    writer.appendUint32(0x12345678)
+    writer.appendVarInt(300)
+    const finished = writer.finish()
+    expect(finished).toBeInstanceOf(Promise)
+    await finished
+
+    const contents = new Uint8Array(fs.readFileSync(filename))
+    expect(contents).toEqual(new Uint8Array([0xab, 0x78, 0x56, 0x34, 0x12, 0xac, 0x02]))
+  })
+
+  it('flush resolves once buffered data is on disk', async () => {
+    const writer = asyncFileWriter(filename)
+    writer.appendBytes(new Uint8Array(1000).fill(0xaa))
+    const flushed = writer.flush?.()
+    expect(flushed).toBeInstanceOf(Promise)
+    await flushed
+    expect(fs.statSync(filename).size).toBe(1000)
+
+    writer.appendBytes(new Uint8Array(500).fill(0xbb))
+    await writer.flush?.()
+    expect(fs.statSync(filename).size).toBe(1500)
+    await writer.finish()
+  })
+
+  it('writes chunks in the background once chunk size is exceeded', async () => {
+    const writer = asyncFileWriter(filename, { chunkSize: 100 })
+    for (let i = 0; i < 10; i++) {
+      writer.appendBytes(new Uint8Array(60).fill(i))
+    }
+    await writer.finish()
+
+    const contents = new Uint8Array(fs.readFileSync(filename))
+    expect(contents.length).toBe(600)
+    for (let i = 0; i < 10; i++) {
+      expect(contents[i * 60]).toBe(i)
+      expect(contents[i * 60 + 59]).toBe(i)
+    }
+  })
+
+  it('rejects flush when the file cannot be opened', async () => {
+    const writer = asyncFileWriter('data/missing/dir/file.bin')
+    writer.appendUint8(1)
+    await expect(writer.flush?.()).rejects.toThrow('ENOENT')
+    await expect(writer.finish()).rejects.toThrow('ENOENT')
+  })
+
+  it('keeps write errors from background chunks for finish', async () => {
+    /** @type {unknown[]} */
+    const unhandled = []
+    /** @param {unknown} reason */
+    function onUnhandled(reason) {
+      unhandled.push(reason)
+    }
+    process.on('unhandledRejection', onUnhandled)
+    try {
+      const writer = asyncFileWriter('data/missing/dir/file.bin', { chunkSize: 100 })
+      // each append past the chunk size queues a write through ensure
+      for (let i = 0; i < 10; i++) {
+        writer.appendBytes(new Uint8Array(60).fill(i))
+      }
+      await delay(50)
+      await expect(writer.finish()).rejects.toThrow('ENOENT')
+      expect(unhandled).toEqual([])
+    } finally {
+      process.off('unhandledRejection', onUnhandled)
+    }
+  })
+
+  it('atomic writer renames the file into place on finish', async () => {
+    const writer = asyncFileWriter(filename, { atomic: true })
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    await writer.flush?.()
+    expect(fs.existsSync(filename)).toBe(false)
+    expect(tempFiles()).toHaveLength(1)
+
+    const open = vi.spyOn(fs.promises, 'open')
+    try {
+      await writer.finish()
+      // the directory is synced after the rename
+      expect(open).toHaveBeenCalledWith('data', 'r')
+    } finally {
+      open.mockRestore()
+    }
+    expect(tempFiles()).toEqual([])
+    expect(new Uint8Array(fs.readFileSync(filename))).toEqual(new Uint8Array(100).fill(0xaa))
+  })
+
+  it('atomic writer removes the temporary file on abort', async () => {
+    const writer = asyncFileWriter(filename, { atomic: true })
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    await writer.flush?.()
+    await writer.abort()
+    expect(tempFiles()).toEqual([])
+    expect(fs.existsSync(filename)).toBe(false)
+  })
+
+  it('removes the partial file on abort', async () => {
+    const writer = asyncFileWriter(filename)
+    writer.appendBytes(new Uint8Array(100).fill(0xaa))
+    await writer.flush?.()
+    expect(fs.existsSync(filename)).toBe(true)
+    await writer.abort()
+    expect(fs.existsSync(filename)).toBe(false)
+  })
+
+  it('keeps the file when aborted after finish', async () => {
+    const writer = asyncFileWriter(filename)
+    writer.appendUint8(0xaa)
+    await writer.finish()
+    await writer.abort()
+    expect(new Uint8Array(fs.readFileSync(filename))).toEqual(new Uint8Array([0xaa]))
+  })
 })
@@ -0,0 +1,29 @@
+import { deserializeTCompactProtocol } from 'hyparquet/src/thrift.js'
+
+/**
+ * @import {ColumnChunk} from 'hyparquet'
+ */
+
+/**
+ * Raw thrift page headers of a column chunk, in file order, starting from the
+ * dictionary page if there is one. `headerStart` is the offset of the header
+ * and `offset` is the offset of the page data that follows it.
+ *
+ * @param {ArrayBuffer} file
+ * @param {ColumnChunk} chunk
+ * @returns {Generator<{ header: any, headerStart: number, offset: number }>}
+ */
+export function* pageHeaders(file, chunk) {
+  const meta = chunk.meta_data
+  if (!meta) throw new Error('missing column metadata')
+  const start = Number(meta.dictionary_page_offset ?? meta.data_page_offset)
+  const end = start + Number(meta.total_compressed_size)
+  const reader = { view: new DataView(file), offset: start }
+  while (reader.offset < end) {
+    const headerStart = reader.offset
+    const header = deserializeTCompactProtocol(reader)
+    const offset = reader.offset
+    yield { header, headerStart, offset }
+    reader.offset = offset + header.field_3
+  }
+}
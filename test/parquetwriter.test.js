@@ -0,0 +1,222 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter } from '../src/index.js'
+
+/**
+ * @import {SchemaElement} from 'hyparquet'
+ * @import {Writer} from '../src/types.js'
+ */
+
+/** @type {SchemaElement[]} */
+const schema = [
+  { name: 'root', num_children: 2 },
+  { name: 'id', type: 'INT32', repetition_type: 'REQUIRED' },
+  { name: 'message', type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'OPTIONAL' },
+]
+
+/**
+ * @param {number} start
+ * @param {number} length
+ * @returns {{ id: number, message: string | null }[]}
+ */
+function events(start, length) {
+  return Array.from({ length }, (_, i) => ({ id: start + i, message: (start + i) % 4 ? `event ${start + i}` : null }))
+}
+
+describe('ParquetWriter.appendRow', () => {
+  it('buffers rows and cuts row groups by rowGroupSize', async () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema, rowGroupSize: 10 })
+    for (const row of events(0, 25)) {
+      expect(pq.appendRow(row)).toBeUndefined()
+    }
+    expect(pq.row_groups.map(rg => rg.num_rows)).toEqual([10n, 10n])
+    pq.finish()
+
+    const file = writer.getBuffer()
+    expect(parquetMetadata(file).row_groups.map(rg => rg.num_rows)).toEqual([10n, 10n, 5n])
+    expect(await parquetReadObjects({ file })).toEqual(events(0, 25))
+  })
+
+  it('appends arrays of rows with row group sizes that grow', async () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema, rowGroupSize: [5, 20] })
+    pq.appendRows(events(0, 30))
+    pq.appendRows(events(30, 30))
+    pq.finish()
+
+    const file = writer.getBuffer()
+    expect(parquetMetadata(file).row_groups.map(rg => rg.num_rows)).toEqual([5n, 20n, 20n, 15n])
+    expect(await parquetReadObjects({ file })).toEqual(events(0, 60))
+  })
+
+  it('cuts row groups by rowGroupBytes', () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema, rowGroupBytes: 100 })
+    // 4 bytes id + 8 bytes message
+    pq.appendRows(Array.from({ length: 20 }, (_, id) => ({ id, message: 'xxxxxxxx' })))
+    pq.finish()
+    expect(parquetMetadata(writer.getBuffer()).row_groups.map(rg => rg.num_rows)).toEqual([9n, 9n, 2n])
+  })
+
+  it('writes buffered rows before column data', async () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema })
+    pq.appendRows(events(0, 3))
+    pq.write({ columnData: [{ name: 'id', data: [3, 4] }, { name: 'message', data: ['d', 'e'] }] })
+    pq.appendRow({ id: 5, message: 'f' })
+    pq.finish()
+
+    const rows = await parquetReadObjects({ file: writer.getBuffer() })
+    expect(rows.map(row => row.id)).toEqual([0, 1, 2, 3, 4, 5])
+  })
+
+  it('applies column options to buffered rows', () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({
+      writer,
+      schema,
+      columns: [{ name: 'id', columnIndex: true }, { name: 'message', encoding: 'PLAIN' }],
+      pageSize: 100,
+    })
+    pq.appendRows(events(0, 100))
+    pq.finish()
+    const [id, message] = parquetMetadata(writer.getBuffer()).row_groups[0].columns
+    expect(id.column_index_offset).toBeDefined()
+    expect(message.meta_data?.encodings).toEqual(['PLAIN'])
+  })
+
+  it('writes row groups in order with an async writer', async () => {
+    /** @type {Writer} */
+    const writer = new ByteWriter()
+    /** @type {number[]} */
+    const flushed = []
+    writer.flush = async () => {
+      await Promise.resolve()
+      flushed.push(writer.offset)
+    }
+    const pq = new ParquetWriter({ writer, schema, rowGroupSize: 10 })
+
+    // rows appended without waiting are queued behind the pending row group
+    /** @type {(void | Promise<void>)[]} */
+    const results = events(0, 35).map(row => pq.appendRow(row))
+    expect(results[9]).toBeInstanceOf(Promise)
+    expect(results[10]).toBeUndefined()
+    await Promise.all(results)
+    const { metadata } = await pq.finish()
+
+    expect(flushed).toHaveLength(4)
+    expect(metadata.row_groups.map(rg => rg.num_rows)).toEqual([10n, 10n, 10n, 5n])
+    expect(await parquetReadObjects({ file: writer.getBuffer() })).toEqual(events(0, 35))
+  })
+
+  it('appends an array of rows across async flushes', async () => {
+    /** @type {Writer} */
+    const writer = new ByteWriter()
+    writer.flush = () => Promise.resolve()
+    const pq = new ParquetWriter({ writer, schema, rowGroupSize: 10 })
+    await pq.appendRows(events(0, 35))
+    const { metadata } = await pq.finish()
+    expect(metadata.row_groups.map(rg => rg.num_rows)).toEqual([10n, 10n, 10n, 5n])
+    expect(await parquetReadObjects({ file: writer.getBuffer() })).toEqual(events(0, 35))
+  })
+})
+
+describe('ParquetWriter.beginRowGroup', () => {
+  /** @type {SchemaElement[]} */
+  const wide = [
+    { name: 'root', num_children: 3 },
+    { name: 'a', type: 'INT32', repetition_type: 'REQUIRED' },
+    { name: 'b', type: 'DOUBLE', repetition_type: 'OPTIONAL' },
+    { name: 'c', type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'OPTIONAL' },
+  ]
+
+  it('writes row groups one column at a time', async () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema: wide })
+    for (const start of [0, 3]) {
+      pq.beginRowGroup()
+      // written out of schema order
+      pq.writeColumnChunk('c', [0, 1, 2].map(i => `row ${start + i}`))
+      pq.writeColumnChunk('a', [0, 1, 2].map(i => start + i))
+      pq.writeColumnChunk('b', [0.5, null, 2.5])
+      pq.endRowGroup()
+    }
+    pq.finish()
+
+    const file = writer.getBuffer()
+    const metadata = parquetMetadata(file)
+    expect(metadata.num_rows).toBe(6n)
+    for (const rowGroup of metadata.row_groups) {
+      expect(rowGroup.num_rows).toBe(3n)
+      expect(rowGroup.columns.map(chunk => chunk.meta_data?.path_in_schema)).toEqual([['a'], ['b'], ['c']])
+    }
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.a)).toEqual([0, 1, 2, 3, 4, 5])
+    expect(rows[4]).toEqual({ a: 4, b: null, c: 'row 4' })
+  })
+
+  it('applies column options', () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema: wide, columns: [{ name: 'a', encoding: 'DELTA_BINARY_PACKED' }] })
+    pq.beginRowGroup()
+    pq.writeColumnChunk('a', [1, 2, 3])
+    pq.writeColumnChunk('b', [1, 2, 3], { encoding: 'BYTE_STREAM_SPLIT' })
+    pq.writeColumnChunk('c', ['x', 'y', 'z'])
+    pq.endRowGroup()
+    pq.finish()
+    const [a, b] = parquetMetadata(writer.getBuffer()).row_groups[0].columns
+    expect(a.meta_data?.encodings).toContain('DELTA_BINARY_PACKED')
+    expect(b.meta_data?.encodings).toContain('BYTE_STREAM_SPLIT')
+  })
+
+  it('writes buffered rows first', async () => {
+    const writer = new ByteWriter()
+    const pq = new ParquetWriter({ writer, schema })
+    pq.appendRows(events(0, 5))
+    pq.beginRowGroup()
+    pq.writeColumnChunk('id', [5, 6])
+    pq.writeColumnChunk('message', ['f', null])
+    pq.endRowGroup()
+    pq.finish()
+
+    const file = writer.getBuffer()
+    expect(parquetMetadata(file).row_groups.map(rg => rg.num_rows)).toEqual([5n, 2n])
+    expect(await parquetReadObjects({ file })).toEqual([...events(0, 5), { id: 5, message: 'f' }, { id: 6, message: null }])
+  })
+
+  it('flushes after each column chunk', async () => {
+    /** @type {Writer} */
+    const writer = new ByteWriter()
+    let flushes = 0
+    writer.flush = async () => {
+      await Promise.resolve()
+      flushes++
+    }
+    const pq = new ParquetWriter({ writer, schema })
+    await pq.beginRowGroup()
+    await pq.writeColumnChunk('id', [1, 2])
+    await pq.writeColumnChunk('message', ['a', 'b'])
+    pq.endRowGroup()
+    await pq.finish()
+    expect(flushes).toBe(2)
+    expect(await parquetReadObjects({ file: writer.getBuffer() })).toEqual([{ id: 1, message: 'a' }, { id: 2, message: 'b' }])
+  })
+
+  it('checks that every column is written once with the same row count', () => {
+    const pq = new ParquetWriter({ writer: new ByteWriter(), schema: wide })
+    expect(() => pq.writeColumnChunk('a', [1])).toThrow('parquet row group not begun')
+    expect(() => pq.endRowGroup()).toThrow('parquet row group not begun')
+
+    pq.beginRowGroup()
+    expect(() => pq.beginRowGroup()).toThrow('parquet row group not ended')
+    expect(() => pq.writeColumnChunk('d', [1])).toThrow('parquet column not in schema: d')
+    pq.writeColumnChunk('a', [1, 2])
+    expect(() => pq.writeColumnChunk('a', [1, 2])).toThrow('parquet column already written in row group: a')
+    expect(() => pq.writeColumnChunk('b', [1])).toThrow('parquet columns must have the same length')
+    pq.writeColumnChunk('b', [1, 2])
+    expect(() => pq.endRowGroup()).toThrow('parquet row group missing column: c')
+    expect(() => pq.write({ columnData: [] })).toThrow('parquet row group not ended')
+    expect(() => pq.finish()).toThrow('parquet row group not ended')
+  })
+})
@@ -0,0 +1,194 @@
+import fs from 'fs'
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { ByteWriter, RollingParquetWriter } from '../src/index.js'
+import { fileWriter } from '../src/node.js'
+
+/**
+ * @import {RollingParquetWriterOptions, Writer} from '../src/types.js'
+ */
+
+/**
+ * Rolling writer over in-memory files.
+ *
+ * @param {Omit<RollingParquetWriterOptions, 'createWriter'>} options
+ * @returns {{ rolling: RollingParquetWriter, outputs: Map<string, ByteWriter> }}
+ */
+function memoryRolling(options) {
+  /** @type {Map<string, ByteWriter>} */
+  const outputs = new Map()
+  const rolling = new RollingParquetWriter({
+    ...options,
+    createWriter(filename) {
+      const writer = new ByteWriter()
+      outputs.set(filename, writer)
+      return writer
+    },
+  })
+  return { rolling, outputs }
+}
+
+/**
+ * @param {number} start
+ * @param {number} length
+ * @returns {Record<string, any>[]}
+ */
+function logRows(start, length) {
+  return Array.from({ length }, (_, i) => ({ id: start + i, message: `event ${start + i}` }))
+}
+
+const columns = [{ name: 'id' }, { name: 'message' }]
+
+describe('RollingParquetWriter', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('rolls over to a new file every maxRows rows', async () => {
+    const { rolling, outputs } = memoryRolling({ columns, maxRows: 100, rowGroupSize: 40 })
+    rolling.write(logRows(0, 250))
+    rolling.finish()
+    const { files } = rolling
+
+    expect(files).toMatchObject([
+      { filename: 'part-00000.parquet', rows: 100, bytes: outputs.get('part-00000.parquet')?.offset },
+      { filename: 'part-00001.parquet', rows: 100, bytes: outputs.get('part-00001.parquet')?.offset },
+      { filename: 'part-00002.parquet', rows: 50, bytes: outputs.get('part-00002.parquet')?.offset },
+    ])
+    expect(files[2].metadata.num_rows).toBe(50n)
+    expect(files[2].report.fileBytes).toBe(files[2].bytes)
+    const first = outputs.get('part-00000.parquet')?.getBuffer() ?? new ArrayBuffer(0)
+    expect(parquetMetadata(first).row_groups.map(rg => rg.num_rows)).toEqual([40n, 40n, 20n])
+
+    const rows = []
+    for (const { filename } of files) {
+      rows.push(...await parquetReadObjects({ file: outputs.get(filename)?.getBuffer() ?? new ArrayBuffer(0) }))
+    }
+    expect(rows).toEqual(logRows(0, 250))
+  })
+
+  it('rolls over once a file exceeds maxBytes', () => {
+    const { rolling } = memoryRolling({ columns, maxBytes: 2000, rowGroupSize: 50 })
+    rolling.write(logRows(0, 1000))
+    rolling.finish()
+    const { files } = rolling
+
+    expect(files.length).toBeGreaterThan(2)
+    expect(files.reduce((sum, file) => sum + file.rows, 0)).toBe(1000)
+    for (const file of files.slice(0, -1)) {
+      // rolled at the first row group boundary past the limit
+      expect(file.bytes).toBeGreaterThanOrEqual(2000)
+      expect(file.rows % 50).toBe(0)
+    }
+  })
+
+  it('closes row groups by estimated bytes', () => {
+    const { rolling, outputs } = memoryRolling({ columns: [{ name: 'message' }], rowGroupBytes: 100 })
+    rolling.write(Array.from({ length: 10 }, () => ({ message: 'x'.repeat(40) })))
+    rolling.finish()
+    const file = outputs.get('part-00000.parquet')?.getBuffer() ?? new ArrayBuffer(0)
+    expect(parquetMetadata(file).row_groups.map(rg => rg.num_rows)).toEqual([3n, 3n, 3n, 1n])
+  })
+
+  it('rolls over once a file is maxAge old', () => {
+    vi.useFakeTimers()
+    const { rolling } = memoryRolling({ columns, maxAge: 60_000 })
+    rolling.write(logRows(0, 10))
+    vi.advanceTimersByTime(30_000)
+    rolling.write(logRows(10, 10))
+    vi.advanceTimersByTime(30_000)
+    rolling.write(logRows(20, 5))
+    rolling.finish()
+    const { files } = rolling
+    expect(files.map(file => file.rows)).toEqual([20, 5])
+  })
+
+  it('continues across write calls and rolls on demand', () => {
+    const { rolling } = memoryRolling({ columns, maxRows: 100 })
+    rolling.write(logRows(0, 30))
+    rolling.write(logRows(30, 30))
+    rolling.roll()
+    rolling.roll() // no rows since the last roll, no empty file
+    rolling.write(logRows(60, 10))
+    rolling.finish()
+    expect(rolling.files).toMatchObject([{ rows: 60 }, { rows: 10 }])
+  })
+
+  it('writes rows from an async iterable to an async sink', async () => {
+    async function* source() {
+      for (const row of logRows(0, 120)) yield row
+    }
+    let flushes = 0
+    const rolling = new RollingParquetWriter({
+      columns,
+      maxRows: 50,
+      rowGroupSize: 25,
+      createWriter() {
+        /** @type {Writer} */
+        const writer = new ByteWriter()
+        writer.flush = async () => {
+          await Promise.resolve()
+          flushes++
+        }
+        return writer
+      },
+    })
+    const written = rolling.write(source())
+    expect(written).toBeInstanceOf(Promise)
+    await written
+    await rolling.finish()
+    const { files } = rolling
+    expect(files.map(file => file.rows)).toEqual([50, 50, 20])
+    expect(flushes).toBe(5)
+  })
+
+  it('infers one schema for all files from the first row group', async () => {
+    const { rolling, outputs } = memoryRolling({ columns: [{ name: 'label' }], maxRows: 2 })
+    rolling.write([{ label: 'a' }, { label: null }, { label: 'c' }, { label: 'd' }])
+    rolling.finish()
+
+    const [first, second] = [...outputs.values()].map(writer => writer.getBuffer())
+    // second file has no nulls but keeps the optional column of the first
+    expect(parquetMetadata(second).schema).toEqual(parquetMetadata(first).schema)
+    expect(parquetMetadata(second).schema[1].repetition_type).toBe('OPTIONAL')
+    expect(await parquetReadObjects({ file: second })).toEqual([{ label: 'c' }, { label: 'd' }])
+  })
+
+  it('produces no files when no rows are written', () => {
+    const { rolling, outputs } = memoryRolling({ columns })
+    rolling.write([])
+    rolling.finish()
+    expect(rolling.files).toEqual([])
+    expect(outputs.size).toBe(0)
+  })
+
+  it('writes local files with fileWriter', async () => {
+    const dir = 'data/rolling'
+    fs.rmSync(dir, { recursive: true, force: true })
+    fs.mkdirSync(dir, { recursive: true })
+    try {
+      const rolling = new RollingParquetWriter({
+        columns,
+        maxRows: 10,
+        createWriter: filename => fileWriter(`${dir}/${filename}`),
+      })
+      rolling.write(logRows(0, 25))
+      rolling.finish()
+      expect(fs.readdirSync(dir).sort()).toEqual(['part-00000.parquet', 'part-00001.parquet', 'part-00002.parquet'])
+      const file = new Uint8Array(fs.readFileSync(`${dir}/part-00002.parquet`)).buffer
+      expect(await parquetReadObjects({ file })).toEqual(logRows(20, 5))
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('validates options', () => {
+    function createWriter() {
+      return new ByteWriter()
+    }
+    expect(() => new RollingParquetWriter({ createWriter, columns: [] }))
+      .toThrow('RollingParquetWriter requires a non-empty columns array')
+    expect(() => new RollingParquetWriter({ createWriter, columns, maxRows: 0 }))
+      .toThrow('RollingParquetWriter maxRows must be positive')
+  })
+})
@@ -0,0 +1,185 @@
+import { parquetReadObjects } from 'hyparquet'
+import { Readable, Writable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { setTimeout } from 'timers/promises'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, parquetTransform, parquetWriteBuffer, parquetWriteRows, parquetWriteStream } from '../src/index.js'
+import { snappyCompress } from '../src/snappy.js'
+import { exampleData } from './example.js'
+
+/**
+ * @import {ColumnSource, Compressor} from '../src/types.js'
+ */
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<Uint8Array[]>}
+ */
+async function readChunks(stream) {
+  const chunks = []
+  const reader = stream.getReader()
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) return chunks
+    chunks.push(value)
+  }
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {ArrayBuffer}
+ */
+function concatChunks(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes.buffer
+}
+
+describe('parquetWriteStream', () => {
+  const columnData = [{ name: 'n', data: Array.from({ length: 2500 }, (_, i) => i) }]
+
+  it('errors the stream when the signal is aborted', async () => {
+    const controller = new AbortController()
+    const stream = parquetWriteStream({ columnData, rowGroupSize: 500, signal: controller.signal })
+    const reader = stream.getReader()
+    await reader.read()
+    controller.abort()
+    // the write stops at the next row group, and the footer is never emitted
+    /** @type {any} */
+    let error
+    try {
+      while (!(await reader.read()).done) { /* drain queued row groups */ }
+    } catch (e) {
+      error = e
+    }
+    expect(error?.name).toBe('AbortError')
+  })
+
+  it('streams the same bytes as parquetWriteBuffer', async () => {
+    const chunks = await readChunks(parquetWriteStream({ columnData: exampleData }))
+    const expected = parquetWriteBuffer({ columnData: exampleData })
+    expect(new Uint8Array(concatChunks(chunks))).toEqual(new Uint8Array(expected))
+  })
+
+  it('emits one chunk per row group followed by the footer', async () => {
+    const chunks = await readChunks(parquetWriteStream({ columnData, rowGroupSize: 1000 }))
+    expect(chunks).toHaveLength(4)
+    const rows = await parquetReadObjects({ file: concatChunks(chunks) })
+    expect(rows).toHaveLength(2500)
+  })
+
+  it('waits for the consumer before encoding more row groups', async () => {
+    let pages = 0
+    /** @type {Compressor} */
+    function countingSnappy(input) {
+      pages++
+      return snappyCompress(input)
+    }
+    const stream = parquetWriteStream({ columnData, rowGroupSize: 1000, compressors: { SNAPPY: countingSnappy } })
+    await setTimeout(0)
+    // only the first row group is queued until the consumer reads
+    expect(pages).toBe(1)
+
+    const reader = stream.getReader()
+    await reader.read()
+    await setTimeout(0)
+    expect(pages).toBe(2)
+
+    await reader.read()
+    await setTimeout(0)
+    expect(pages).toBe(3)
+  })
+
+  it('stops writing when canceled', async () => {
+    let pages = 0
+    /** @type {Compressor} */
+    function countingSnappy(input) {
+      pages++
+      return snappyCompress(input)
+    }
+    const stream = parquetWriteStream({ columnData, rowGroupSize: 500, compressors: { SNAPPY: countingSnappy } })
+    const reader = stream.getReader()
+    await reader.read()
+    await reader.cancel()
+    await setTimeout(0)
+    expect(pages).toBe(2)
+  })
+
+  it('errors the stream when writing fails', async () => {
+    const stream = parquetWriteStream({ columnData: [{ name: 'n', data: [1, 2], type: 'INT64' }] })
+    await expect(readChunks(stream)).rejects.toThrow('parquet expected bigint value, got 1')
+  })
+})
+
+describe('parquetTransform', () => {
+  const rows = Array.from({ length: 250 }, (_, i) => ({ id: i, name: `name-${i % 7}` }))
+  /** @type {Omit<ColumnSource, 'data'>[]} */
+  const columns = [{ name: 'id', type: 'INT32' }, { name: 'name', type: 'STRING' }]
+
+  /**
+   * @param {Record<string, any>[]} items
+   * @returns {ReadableStream<Record<string, any>>}
+   */
+  function rowStream(items) {
+    let i = 0
+    return new ReadableStream({
+      pull(controller) {
+        if (i < items.length) controller.enqueue(items[i++])
+        else controller.close()
+      },
+    })
+  }
+
+  it('transforms row objects into parquet bytes', async () => {
+    const chunks = await readChunks(rowStream(rows).pipeThrough(parquetTransform({ columns, rowGroupSize: 100 })))
+    // three row groups, then the footer
+    expect(chunks).toHaveLength(4)
+
+    const writer = new ByteWriter()
+    parquetWriteRows({ writer, rows, columns, rowGroupSize: 100 })
+    expect(new Uint8Array(concatChunks(chunks))).toEqual(writer.getBytes())
+  })
+
+  it('works in a node stream pipeline', async () => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    const sink = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk)
+        callback()
+      },
+    })
+    // node types its own web streams separately from the dom ones
+    /** @type {any} */
+    const transform = parquetTransform({ columns })
+    await pipeline(Readable.from(rows), transform, sink)
+    const output = await parquetReadObjects({ file: concatChunks(chunks) })
+    expect(output).toEqual(rows)
+  })
+
+  it('writes a valid empty file when no rows are written', async () => {
+    const chunks = await readChunks(rowStream([]).pipeThrough(parquetTransform({ columns })))
+    const output = await parquetReadObjects({ file: concatChunks(chunks) })
+    expect(output).toEqual([])
+  })
+
+  it('errors both sides when a row group fails to encode', async () => {
+    const { writable, readable } = parquetTransform({ columns, rowGroupSize: 100 })
+    const bad = [...rows.slice(0, 150), { id: 'x', name: 'bad' }, ...rows.slice(150)]
+    const piped = rowStream(bad).pipeTo(writable)
+    await expect(readChunks(readable)).rejects.toThrow('parquet expected integer value, got x')
+    await expect(piped).rejects.toThrow('parquet expected integer value, got x')
+  })
+
+  it('errors the writable side when the readable is canceled before reading', async () => {
+    const { writable, readable } = parquetTransform({ columns })
+    await readable.cancel(new Error('not needed'))
+    const writer = writable.getWriter()
+    await expect(writer.write(rows[0])).rejects.toThrow('not needed')
+    await expect(writer.closed).rejects.toThrow('not needed')
+  })
+})
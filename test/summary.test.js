@@ -0,0 +1,115 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter, parquetCommonMetadata, parquetSummaryMetadata, parquetWrite } from '../src/index.js'
+import { schemaFromColumnData } from '../src/schema.js'
+
+/**
+ * @import {FileMetaData} from 'hyparquet'
+ * @import {ColumnSource} from '../src/types.js'
+ */
+
+/**
+ * @param {number} start
+ * @returns {{ file: ArrayBuffer, metadata: FileMetaData }}
+ */
+function part(start) {
+  const writer = new ByteWriter()
+  /** @type {ColumnSource[]} */
+  const columnData = [
+    { name: 'id', data: Array.from({ length: 30 }, (_, i) => start + i), type: 'INT32' },
+    { name: 'name', data: Array.from({ length: 30 }, (_, i) => `row ${start + i}`), type: 'STRING' },
+  ]
+  const result = parquetWrite({ writer, columnData, rowGroupSize: 20, kvMetadata: [{ key: 'part', value: String(start) }] })
+  if (result instanceof Promise) throw new Error('expected sync write')
+  return { file: writer.getBuffer(), metadata: result.metadata }
+}
+
+/**
+ * @param {(writer: ByteWriter) => void} write
+ * @returns {ArrayBuffer}
+ */
+function writeBuffer(write) {
+  const writer = new ByteWriter()
+  write(writer)
+  return writer.getBuffer()
+}
+
+describe('ParquetWriter.finish', () => {
+  it('returns the metadata written to the footer', () => {
+    const writer = new ByteWriter()
+    /** @type {ColumnSource[]} */
+    const columnData = [{ name: 'id', data: [1, 2, 3], type: 'INT32' }]
+    const pq = new ParquetWriter({ writer, schema: schemaFromColumnData({ columnData }) })
+    pq.write({ columnData })
+    const result = pq.finish()
+    if (result instanceof Promise) throw new Error('expected sync finish')
+    const { metadata } = result
+
+    const parsed = parquetMetadata(writer.getBuffer())
+    expect(metadata).toEqual({ ...parsed, row_groups: metadata.row_groups })
+    expect(metadata.row_groups[0].columns[0].meta_data?.data_page_offset)
+      .toBe(parsed.row_groups[0].columns[0].meta_data?.data_page_offset)
+  })
+
+  it('resolves to the metadata with an async writer', async () => {
+    /** @type {ByteWriter & { finish(): Promise<void> }} */
+    const writer = Object.assign(new ByteWriter(), { finish: () => Promise.resolve() })
+    const result = parquetWrite({ writer, columnData: [{ name: 'id', data: [1, 2, 3] }] })
+    expect(result).toBeInstanceOf(Promise)
+    expect((await result).metadata.num_rows).toBe(3n)
+  })
+})
+
+describe('parquetSummaryMetadata', () => {
+  it('lists every row group of every file with its file_path', async () => {
+    const parts = [part(0), part(30)]
+    const files = parts.map(({ metadata }, i) => ({ filename: `part-${i}.parquet`, metadata }))
+    const summary = parquetMetadata(writeBuffer(writer => parquetSummaryMetadata({ writer, files })))
+
+    expect(summary.num_rows).toBe(60n)
+    expect(summary.key_value_metadata).toEqual([{ key: 'part', value: '0' }])
+    expect(summary.row_groups.map(rg => rg.columns.map(chunk => chunk.file_path))).toEqual([
+      ['part-0.parquet', 'part-0.parquet'],
+      ['part-0.parquet', 'part-0.parquet'],
+      ['part-1.parquet', 'part-1.parquet'],
+      ['part-1.parquet', 'part-1.parquet'],
+    ])
+
+    // row groups point into the original files
+    const { file } = parts[1]
+    const row_groups = summary.row_groups
+      .filter(rg => rg.columns[0].file_path === 'part-1.parquet')
+      .map(rg => ({ ...rg, columns: rg.columns.map(chunk => ({ ...chunk, file_path: undefined })) }))
+    const rows = await parquetReadObjects({ file, metadata: { ...summary, row_groups, num_rows: 30n } })
+    expect(rows.map(row => row.id)).toEqual(Array.from({ length: 30 }, (_, i) => 30 + i))
+  })
+
+  it('throws when the schemas do not match', () => {
+    const writer = new ByteWriter()
+    const other = parquetWrite({ writer, columnData: [{ name: 'id', data: [1n], type: 'INT64' }] })
+    if (other instanceof Promise) throw new Error('expected sync write')
+    const files = [
+      { filename: 'a.parquet', metadata: part(0).metadata },
+      { filename: 'b.parquet', metadata: other.metadata },
+    ]
+    expect(() => parquetSummaryMetadata({ writer: new ByteWriter(), files }))
+      .toThrow('parquet summary schema of b.parquet does not match a.parquet')
+    expect(() => parquetSummaryMetadata({ writer: new ByteWriter(), files: [] }))
+      .toThrow('parquet summary requires at least one file')
+  })
+})
+
+describe('parquetCommonMetadata', () => {
+  it('writes the schema with no row groups', () => {
+    const { metadata } = part(0)
+    const common = parquetMetadata(writeBuffer(writer => parquetCommonMetadata({
+      writer,
+      files: [{ filename: 'part-0.parquet', metadata }],
+      kvMetadata: [{ key: 'dataset', value: 'test' }],
+    })))
+    expect(common.schema).toEqual(parquetMetadata(part(0).file).schema)
+    expect(common.row_groups).toEqual([])
+    expect(common.num_rows).toBe(0n)
+    expect(common.key_value_metadata).toEqual([{ key: 'dataset', value: 'test' }])
+  })
+})
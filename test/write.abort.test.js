@@ -0,0 +1,173 @@
+import fs from 'fs'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter, parquetWrite, parquetWriteRows } from '../src/index.js'
+import { parquetWriteFile, parquetWriteFileAsync } from '../src/node.js'
+import { snappyCompress } from '../src/snappy.js'
+
+/**
+ * @import {Writer} from '../src/types.js'
+ */
+
+const columnData = [
+  { name: 'id', data: Array.from({ length: 100 }, (_, i) => i) },
+  { name: 'name', data: Array.from({ length: 100 }, (_, i) => `name ${i}`) },
+]
+
+/**
+ * ByteWriter that records abort() calls, with an optional async flush.
+ * @param {() => void | Promise<void>} [flush]
+ * @returns {Writer & { aborts: any[] }}
+ */
+function abortableWriter(flush) {
+  /** @type {any[]} */
+  const aborts = []
+  /** @type {Writer} */
+  const writer = new ByteWriter()
+  writer.abort = reason => {
+    aborts.push(reason)
+  }
+  if (flush) writer.flush = flush
+  return Object.assign(writer, { aborts })
+}
+
+describe('write cancellation', () => {
+  it('throws an AbortError when the signal is already aborted', () => {
+    const writer = abortableWriter()
+    expect(() => parquetWrite({ writer, columnData, signal: AbortSignal.abort() }))
+      .toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(writer.aborts).toHaveLength(1)
+    expect(writer.aborts[0].name).toBe('AbortError')
+  })
+
+  it('stops between row groups', async () => {
+    const controller = new AbortController()
+    let flushes = 0
+    const writer = abortableWriter(async () => {
+      await Promise.resolve()
+      if (++flushes === 2) controller.abort()
+    })
+    const result = parquetWrite({ writer, columnData, rowGroupSize: 10, signal: controller.signal })
+    await expect(result).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(flushes).toBe(2)
+    expect(writer.aborts).toHaveLength(1)
+  })
+
+  it('stops between column chunks', () => {
+    const controller = new AbortController()
+    let compressed = 0
+    const writer = abortableWriter()
+    /**
+     * @param {Uint8Array} input
+     * @returns {Uint8Array}
+     */
+    function abortingSnappy(input) {
+      compressed++
+      controller.abort(new Error('canceled by user'))
+      return snappyCompress(input)
+    }
+    expect(() => parquetWrite({
+      writer,
+      columnData,
+      compressors: { SNAPPY: abortingSnappy },
+      signal: controller.signal,
+    })).toThrow('canceled by user')
+    // the first column chunk (one data page) was written, the second was not
+    expect(compressed).toBe(1)
+    expect(writer.aborts).toEqual([controller.signal.reason])
+  })
+
+  it('checks the signal before writing the footer', () => {
+    const controller = new AbortController()
+    const writer = abortableWriter(() => controller.abort())
+    expect(() => parquetWrite({ writer, columnData, signal: controller.signal }))
+      .toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(writer.aborts).toHaveLength(1)
+  })
+
+  it('accepts a signal in ParquetWriter.write', () => {
+    const writer = abortableWriter()
+    const pq = new ParquetWriter({ writer, schema: [{ name: 'root', num_children: 1 }, { name: 'id', type: 'INT32' }] })
+    expect(() => pq.write({ columnData: [columnData[0]], signal: AbortSignal.abort() }))
+      .toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(writer.aborts).toHaveLength(1)
+  })
+
+  it('waits for an async writer abort before rejecting', async () => {
+    let aborted = false
+    /** @type {Writer} */
+    const writer = new ByteWriter()
+    writer.abort = async () => {
+      await Promise.resolve()
+      aborted = true
+    }
+    const pq = new ParquetWriter({ writer, schema: [{ name: 'root', num_children: 1 }, { name: 'id', type: 'INT32' }] })
+    const result = pq.write({ columnData: [columnData[0]], signal: AbortSignal.abort() })
+    expect(result).toBeInstanceOf(Promise)
+    await expect(result).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(aborted).toBe(true)
+  })
+
+  it('stops pulling rows from an async source', async () => {
+    const controller = new AbortController()
+    let pulled = 0
+    let returned = false
+    async function* rows() {
+      try {
+        for (let id = 0; id < 1000; id++) {
+          pulled++
+          if (id === 25) controller.abort()
+          yield { id }
+        }
+      } finally {
+        returned = true
+      }
+    }
+    const writer = abortableWriter()
+    const result = parquetWriteRows({ writer, rows: rows(), columns: [{ name: 'id' }], rowGroupSize: 10, signal: controller.signal })
+    await expect(result).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(pulled).toBe(26)
+    expect(returned).toBe(true)
+    expect(writer.aborts).toHaveLength(1)
+  })
+
+  it('rejects right away when an async source stalls', async () => {
+    const controller = new AbortController()
+    let returned = false
+    /** @type {AsyncIterable<Record<string, any>>} */
+    const rows = {
+      [Symbol.asyncIterator]() {
+        return {
+          next: () => new Promise(() => {}),
+          return() {
+            returned = true
+            return Promise.resolve({ value: undefined, done: true })
+          },
+        }
+      },
+    }
+    const writer = abortableWriter()
+    const result = parquetWriteRows({ writer, rows, columns: [{ name: 'id' }], signal: controller.signal })
+    controller.abort()
+    await expect(result).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(returned).toBe(true)
+    expect(writer.aborts).toHaveLength(1)
+  })
+
+  it('stops writing rows from a sync source', () => {
+    const writer = abortableWriter()
+    const rows = Array.from({ length: 100 }, (_, id) => ({ id }))
+    expect(() => parquetWriteRows({ writer, rows, columns: [{ name: 'id' }], signal: AbortSignal.abort() }))
+      .toThrow(expect.objectContaining({ name: 'AbortError' }))
+    expect(writer.aborts).toHaveLength(1)
+  })
+
+  it('removes the partial local file', async () => {
+    if (!fs.existsSync('data')) fs.mkdirSync('data')
+    const filename = 'data/write.abort.test.parquet'
+    expect(() => parquetWriteFile({ filename, columnData, signal: AbortSignal.abort() })).toThrow()
+    expect(fs.existsSync(filename)).toBe(false)
+
+    await expect(parquetWriteFileAsync({ filename, columnData, signal: AbortSignal.abort() })).rejects.toThrow()
+    expect(fs.existsSync(filename)).toBe(false)
+  })
+})
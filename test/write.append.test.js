@@ -0,0 +1,197 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { readBloomFilter } from 'hyparquet/src/bloom.js'
+import { readColumnIndex, readOffsetIndex } from 'hyparquet/src/indexes.js'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter, parquetAppend, parquetWriteBuffer } from '../src/index.js'
+import { exampleData } from './example.js'
+
+/**
+ * @import {ColumnChunk, SchemaElement} from 'hyparquet'
+ * @import {ColumnSource, ParquetAppendOptions} from '../src/types.js'
+ */
+
+/**
+ * @param {Omit<ParquetAppendOptions, 'writer'>} options
+ * @returns {ArrayBuffer}
+ */
+function appendBuffer(options) {
+  const writer = new ByteWriter()
+  parquetAppend({ ...options, writer })
+  return writer.getBuffer()
+}
+
+/**
+ * @param {ColumnChunk} chunk
+ * @returns {ColumnChunk}
+ */
+function withoutIndexOffsets(chunk) {
+  const meta_data = chunk.meta_data && { ...chunk.meta_data, bloom_filter_offset: undefined, bloom_filter_length: undefined }
+  return {
+    ...chunk,
+    meta_data,
+    column_index_offset: undefined,
+    column_index_length: undefined,
+    offset_index_offset: undefined,
+    offset_index_length: undefined,
+  }
+}
+
+describe('parquetAppend', () => {
+  it('appends row groups after the existing ones', async () => {
+    const file = parquetWriteBuffer({ columnData: exampleData })
+    const appended = appendBuffer({ file, columnData: exampleData })
+
+    const metadata = parquetMetadata(appended)
+    expect(metadata.num_rows).toBe(8n)
+    expect(metadata.row_groups).toHaveLength(2)
+    const rows = await parquetReadObjects({ file: appended })
+    const original = await parquetReadObjects({ file })
+    expect(rows).toEqual([...original, ...original])
+  })
+
+  it('keeps existing row group metadata unchanged', () => {
+    const file = parquetWriteBuffer({ columnData: exampleData })
+    const appended = appendBuffer({ file, columnData: exampleData })
+
+    const before = parquetMetadata(file)
+    const after = parquetMetadata(appended)
+    expect(after.schema).toEqual(before.schema)
+    expect(after.row_groups[0]).toEqual(before.row_groups[0])
+    // existing data bytes are untouched
+    const dataEnd = Number(after.row_groups[1].columns[0].file_offset)
+    expect(new Uint8Array(appended, 0, dataEnd)).toEqual(new Uint8Array(file, 0, dataEnd))
+  })
+
+  it('keeps decimal and float16 statistics of existing row groups', () => {
+    /** @type {SchemaElement[]} */
+    const schema = [
+      { name: 'root', num_children: 2 },
+      { name: 'price', type: 'INT32', converted_type: 'DECIMAL', scale: 2, precision: 9, repetition_type: 'REQUIRED' },
+      { name: 'half', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 2, logical_type: { type: 'FLOAT16' }, repetition_type: 'REQUIRED' },
+    ]
+    const columnData = [
+      { name: 'price', data: [1234567.89, -42.5, 0.01] },
+      { name: 'half', data: [0.09674, 1.5, -2] },
+    ]
+    const file = parquetWriteBuffer({ columnData, schema })
+    const appended = appendBuffer({ file, columnData, schema })
+
+    const before = parquetMetadata(file).row_groups[0].columns
+    const after = parquetMetadata(appended).row_groups[0].columns
+    expect(after.map(chunk => chunk.meta_data?.statistics)).toEqual(before.map(chunk => chunk.meta_data?.statistics))
+  })
+
+  it('merges key-value metadata', () => {
+    const file = parquetWriteBuffer({
+      columnData: exampleData,
+      kvMetadata: [{ key: 'a', value: '1' }, { key: 'b', value: '2' }],
+    })
+    const appended = appendBuffer({
+      file,
+      columnData: exampleData,
+      kvMetadata: [{ key: 'b', value: '3' }, { key: 'c', value: '4' }],
+    })
+    expect(parquetMetadata(appended).key_value_metadata).toEqual([
+      { key: 'a', value: '1' },
+      { key: 'b', value: '3' },
+      { key: 'c', value: '4' },
+    ])
+  })
+
+  it('keeps page indexes and bloom filters of existing row groups', async () => {
+    /** @type {ColumnSource[]} */
+    const columnData = [{
+      name: 'id',
+      data: Array.from({ length: 100 }, (_, i) => i),
+      type: 'INT32',
+      columnIndex: true,
+      bloomFilter: true,
+    }]
+    const file = parquetWriteBuffer({ columnData, pageSize: 100 })
+    const appended = appendBuffer({ file, columnData, pageSize: 100 })
+
+    const before = parquetMetadata(file)
+    const after = parquetMetadata(appended)
+    expect(withoutIndexOffsets(after.row_groups[0].columns[0]))
+      .toEqual(withoutIndexOffsets(before.row_groups[0].columns[0]))
+
+    const original = before.row_groups[0].columns[0]
+    for (const chunk of after.row_groups.map(rg => rg.columns[0])) {
+      const columnIndex = readColumnIndex({
+        view: new DataView(appended, Number(chunk.column_index_offset), chunk.column_index_length),
+        offset: 0,
+      }, after.schema[1])
+      const expected = readColumnIndex({
+        view: new DataView(file, Number(original.column_index_offset), original.column_index_length),
+        offset: 0,
+      }, before.schema[1])
+      expect(columnIndex).toEqual(expected)
+
+      const bloom = readBloomFilter({
+        view: new DataView(appended, Number(chunk.meta_data?.bloom_filter_offset), chunk.meta_data?.bloom_filter_length),
+        offset: 0,
+      })
+      expect(bloom?.blocks.length).toBeGreaterThan(0)
+    }
+
+    // existing offset index still points at the existing pages
+    const chunk = after.row_groups[0].columns[0]
+    const offsetIndex = readOffsetIndex({
+      view: new DataView(appended, Number(chunk.offset_index_offset), chunk.offset_index_length),
+      offset: 0,
+    })
+    expect(offsetIndex.page_locations[0].offset).toBe(chunk.meta_data?.data_page_offset)
+
+    const rows = await parquetReadObjects({ file: appended, filter: { id: { $eq: 42 } }, useOffsetIndex: true })
+    expect(rows).toEqual([{ id: 42 }, { id: 42 }])
+  })
+
+  it('appends to a file with no row groups', async () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'a', data: [], type: 'INT32' }] })
+    const appended = appendBuffer({ file, columnData: [{ name: 'a', data: [1, 2, 3] }] })
+    expect(await parquetReadObjects({ file: appended })).toEqual([{ a: 1 }, { a: 2 }, { a: 3 }])
+  })
+
+  it('throws when the columns do not match the existing file', () => {
+    const file = parquetWriteBuffer({ columnData: exampleData })
+    expect(() => appendBuffer({ file, columnData: exampleData.slice(1) }))
+      .toThrow('parquet append columns must match existing file')
+    expect(() => appendBuffer({ file, columnData: [...exampleData].reverse() }))
+      .toThrow('parquet append columns must match existing file')
+  })
+
+  it('throws when the column types do not match the existing file', () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'a', data: [1, 2], type: 'INT32' }] })
+    expect(() => appendBuffer({ file, columnData: [{ name: 'a', data: [1, 2], type: 'DOUBLE' }] }))
+      .toThrow('parquet schema does not match existing file')
+    expect(() => appendBuffer({
+      file,
+      columnData: [{ name: 'a', data: [1, 2] }],
+      schema: [{ name: 'root', num_children: 1 }, { name: 'a', type: 'INT64', repetition_type: 'OPTIONAL' }],
+    })).toThrow('parquet schema does not match existing file')
+  })
+
+  it('continues a writer positioned at the end of the existing row groups', async () => {
+    const file = parquetWriteBuffer({ columnData: exampleData })
+    const metadata = parquetMetadata(file)
+    const dataEnd = Number(metadata.row_groups[0].columns.at(-1)?.meta_data?.data_page_offset) +
+      Number(metadata.row_groups[0].columns.at(-1)?.meta_data?.total_compressed_size)
+
+    // a writer that already holds the existing row group data
+    const writer = new ByteWriter()
+    writer.appendBytes(new Uint8Array(file, 0, dataEnd))
+    const pq = ParquetWriter.open({ writer, file })
+    pq.write({ columnData: exampleData })
+    pq.finish()
+
+    const rows = await parquetReadObjects({ file: writer.getBuffer() })
+    expect(rows).toHaveLength(8)
+  })
+
+  it('throws when the writer is not positioned at the end of the row groups', () => {
+    const file = parquetWriteBuffer({ columnData: exampleData })
+    const writer = new ByteWriter()
+    writer.appendUint32(0x31524150)
+    expect(() => ParquetWriter.open({ writer, file })).toThrow('parquet append expected writer at offset 0')
+  })
+})
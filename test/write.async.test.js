@@ -29,7 +29,8 @@ describe('parquetWrite async finish', () => {
   it('stays synchronous when writer.finish() is sync', () => {
     const writer = new ByteWriter()
     const result = parquetWrite({ writer, columnData: exampleData })
-    expect(result).toBeUndefined()
+    expect(result).not.toBeInstanceOf(Promise)
+    expect(result).toMatchObject({ metadata: { num_rows: 4n } })
   })
 
   it('calls flush() between row groups and awaits returned promises', async () => {
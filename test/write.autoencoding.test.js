@@ -0,0 +1,83 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { parquetWriteBuffer } from '../src/index.js'
+
+/**
+ * @import {ColumnSource} from '../src/types.js'
+ */
+
+const timestamps = Array.from({ length: 5000 }, (_, i) => 1700000000000n + BigInt(i * 1000 + i * 7 % 13))
+const readings = Array.from({ length: 5000 }, (_, i) => 20 + Math.sin(i / 100) * 5)
+const urls = Array.from({ length: 5000 }, (_, i) => `https://example.com/products/category-${Math.floor(i / 100)}/item-${i}`)
+
+/**
+ * Encodings of each column chunk of the first row group.
+ * @param {ArrayBuffer} file
+ * @returns {string[][]}
+ */
+function chunkEncodings(file) {
+  return parquetMetadata(file).row_groups[0].columns.map(chunk => chunk.meta_data?.encodings ?? [])
+}
+
+describe('encoding auto', () => {
+  /** @type {ColumnSource[]} */
+  const columnData = [
+    { name: 'timestamp', data: timestamps, type: 'INT64', encoding: 'auto' },
+    { name: 'reading', data: readings, type: 'DOUBLE', encoding: 'auto' },
+    { name: 'url', data: urls, type: 'STRING', encoding: 'auto' },
+  ]
+
+  it('picks the smallest encoding for each column', async () => {
+    const file = parquetWriteBuffer({ columnData })
+    expect(chunkEncodings(file)).toEqual([['DELTA_BINARY_PACKED'], ['BYTE_STREAM_SPLIT'], ['DELTA_BYTE_ARRAY']])
+
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.timestamp)).toEqual(timestamps)
+    expect(rows.map(row => row.reading)).toEqual(readings)
+    expect(rows.map(row => row.url)).toEqual(urls)
+  })
+
+  it('is smaller than plain encoding', () => {
+    const auto = parquetWriteBuffer({ columnData })
+    const plain = parquetWriteBuffer({ columnData: columnData.map(column => ({ ...column, encoding: 'PLAIN' })) })
+    expect(auto.byteLength).toBeLessThan(plain.byteLength)
+  })
+
+  it('compares sizes without compression for uncompressed columns', () => {
+    const file = parquetWriteBuffer({ columnData, codec: 'UNCOMPRESSED' })
+    // byte stream split is no smaller than plain until it is compressed
+    expect(chunkEncodings(file)).toEqual([['DELTA_BINARY_PACKED'], ['PLAIN'], ['DELTA_BYTE_ARRAY']])
+  })
+
+  it('keeps dictionary encoding for repeated values', async () => {
+    const data = Array.from({ length: 1000 }, (_, i) => ['red', 'green', 'blue'][i % 3])
+    const file = parquetWriteBuffer({ columnData: [{ name: 'color', data, encoding: 'auto' }] })
+    expect(chunkEncodings(file)).toEqual([['RLE_DICTIONARY']])
+    expect((await parquetReadObjects({ file })).map(row => row.color)).toEqual(data)
+  })
+
+  it('skips nulls in the sample', async () => {
+    const data = Array.from({ length: 2000 }, (_, i) => i % 2 ? null : i)
+    const file = parquetWriteBuffer({ columnData: [{ name: 'id', data, type: 'INT32', encoding: 'auto' }] })
+    expect(chunkEncodings(file)).toEqual([['DELTA_BINARY_PACKED']])
+    expect((await parquetReadObjects({ file })).map(row => row.id)).toEqual(data)
+  })
+
+  it('uses the default encodings for booleans and v1 pages', () => {
+    const flags = Array.from({ length: 100 }, (_, i) => i % 3 === 0)
+    const file = parquetWriteBuffer({
+      columnData: [
+        { name: 'flag', data: flags, encoding: 'auto' },
+        { name: 'timestamp', data: timestamps.slice(0, 100), type: 'INT64', encoding: 'auto', pageVersion: 1 },
+      ],
+    })
+    expect(chunkEncodings(file)).toEqual([['RLE'], ['PLAIN']])
+  })
+
+  it('uses PLAIN for booleans in v1 pages', async () => {
+    const flags = Array.from({ length: 100 }, (_, i) => i % 3 === 0)
+    const file = parquetWriteBuffer({ columnData: [{ name: 'flag', data: flags, encoding: 'auto', pageVersion: 1 }] })
+    expect(chunkEncodings(file)).toEqual([['PLAIN']])
+    expect((await parquetReadObjects({ file })).map(row => row.flag)).toEqual(flags)
+  })
+})
@@ -37,7 +37,7 @@ describe('parquetWriteBuffer', () => {
   it('serializes a string as a BYTE_ARRAY', () => {
     const data = ['string1', 'string2', 'string3']
     const file = parquetWriteBuffer({ columnData: [{ name: 'string', data, type: 'BYTE_ARRAY' }] })
-    expect(file.byteLength).toBe(173)
+    expect(file.byteLength).toBe(181)
   })
 
   it('serializes booleans as RLE', async () => {
@@ -57,9 +57,9 @@ describe('parquetWriteBuffer', () => {
     data[500] = true
     data[9999] = false
     const file = parquetWriteBuffer({ columnData: [{ name: 'bool', data }], rowGroupSize: 10000 })
-    expect(file.byteLength).toBe(168)
+    expect(file.byteLength).toBe(176)
     const metadata = parquetMetadata(file)
-    expect(metadata.metadata_length).toBe(101)
+    expect(metadata.metadata_length).toBe(109)
     const result = await parquetReadObjects({ file })
     expect(result.length).toBe(10000)
     expect(result[0]).toEqual({ bool: null })
@@ -73,14 +73,14 @@ describe('parquetWriteBuffer', () => {
   it('efficiently serializes long string', () => {
     const str = 'a'.repeat(10000)
     const file = parquetWriteBuffer({ columnData: [{ name: 'string', data: [str] }] })
-    expect(file.byteLength).toBe(649)
+    expect(file.byteLength).toBe(656)
   })
 
   it('less efficiently serializes string without compression', () => {
     const str = 'a'.repeat(10000)
     const columnData = [{ name: 'string', data: [str] }]
     const file = parquetWriteBuffer({ columnData, codec: 'UNCOMPRESSED' })
-    expect(file.byteLength).toBe(10178)
+    expect(file.byteLength).toBe(10184)
   })
 
   it('honors per-column codec override', async () => {
@@ -103,7 +103,7 @@ describe('parquetWriteBuffer', () => {
       .fill('aaaa', 0, 50000)
       .fill('bbbb', 50000, 100000)
     const file = parquetWriteBuffer({ columnData: [{ name: 'string', data }], statistics: false, rowGroupSize: 100000 })
-    expect(file.byteLength).toBe(170)
+    expect(file.byteLength).toBe(351) // five pages of 20000 rows, and their offset index
     // round trip
     const result = await parquetReadObjects({ file })
     expect(result.length).toBe(100000)
@@ -114,7 +114,7 @@ describe('parquetWriteBuffer', () => {
   it('writes statistics when enabled', () => {
     const withStats = parquetWriteBuffer({ columnData: exampleData, statistics: true })
     const noStats = parquetWriteBuffer({ columnData: exampleData, statistics: false })
-    expect(withStats.byteLength).toBe(784)
+    expect(withStats.byteLength).toBe(794)
     expect(noStats.byteLength).toBe(611)
   })
 
@@ -305,6 +305,23 @@ describe('parquetWriteBuffer', () => {
     expect(result[199]).toEqual({ int: 13 })
   })
 
+  it('splits row groups by estimated bytes', async () => {
+    // 100 byte strings, about 1000 bytes per 10 rows
+    const data = Array.from({ length: 95 }, (_, i) => String(i).padStart(100, '.'))
+    const file = parquetWriteBuffer({ columnData: [{ name: 'string', data }], rowGroupBytes: 1000 })
+    const metadata = parquetMetadata(file)
+    expect(metadata.row_groups.map(rg => rg.num_rows)).toEqual([...Array(9).fill(10n), 5n])
+    const result = await parquetReadObjects({ file })
+    expect(result.map(row => row.string)).toEqual(data)
+  })
+
+  it('splits row groups by bytes or row count, whichever comes first', () => {
+    const data = Array.from({ length: 100 }, (_, i) => i % 2 ? 'x'.repeat(100) : 'x')
+    const file = parquetWriteBuffer({ columnData: [{ name: 'string', data }], rowGroupBytes: 500, rowGroupSize: 6 })
+    // 6 rows hold 303 bytes, under the byte limit
+    expect(parquetMetadata(file).row_groups[0].num_rows).toBe(6n)
+  })
+
   it('serializes uint32 types', async () => {
     const data = [0, 100, 2147483648, 3000000000, 4294967295]
     const result = await roundTripDeserialize(
@@ -0,0 +1,110 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { PageTypes } from 'hyparquet/src/constants.js'
+import { crc32 } from 'zlib'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, parquetWriteBuffer, parquetWriteRows } from '../src/index.js'
+import { exampleData } from './example.js'
+import { pageHeaders } from './pages.js'
+
+/**
+ * @import {CompressionCodec} from 'hyparquet'
+ * @import {PageVersion} from '../src/types.js'
+ */
+
+/**
+ * Type, data offset, stored checksum, and actual checksum of the page bytes
+ * for every page in the file.
+ * @param {ArrayBuffer} file
+ * @returns {{ type: string, offset: number, crc: number | undefined, actual: number }[]}
+ */
+function pageChecksums(file) {
+  const pages = []
+  for (const rowGroup of parquetMetadata(file).row_groups) {
+    for (const chunk of rowGroup.columns) {
+      for (const { header, offset } of pageHeaders(file, chunk)) {
+        const bytes = new Uint8Array(file, offset, header.field_3)
+        // stored as a signed i32
+        pages.push({ type: PageTypes[header.field_1], offset, crc: header.field_4, actual: crc32(bytes) | 0 })
+      }
+    }
+  }
+  return pages
+}
+
+const colors = Array.from({ length: 1000 }, (_, i) => ['red', 'green', null, 'blue'][i % 4])
+const listy = Array.from({ length: 1000 }, (_, i) => i % 5 ? [i, null, i * 2] : null)
+
+describe('pageChecksums', () => {
+  /** @type {PageVersion[]} */
+  const versions = [1, 2]
+  for (const pageVersion of versions) {
+    it(`writes a crc of every v${pageVersion} page that hyparquet reads`, async () => {
+      const file = parquetWriteBuffer({
+        columnData: [
+          { name: 'color', data: colors },
+          { name: 'listy', data: listy },
+        ],
+        schema: [
+          { name: 'root', num_children: 2 },
+          { name: 'color', type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'OPTIONAL' },
+          { name: 'listy', repetition_type: 'OPTIONAL', num_children: 1, converted_type: 'LIST' },
+          { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+          { name: 'element', repetition_type: 'OPTIONAL', type: 'INT32' },
+        ],
+        pageChecksums: true,
+        pageVersion,
+        pageRowLimit: 300,
+      })
+      const pages = pageChecksums(file)
+      expect(pages.map(page => page.type)).toContain('DICTIONARY_PAGE')
+      expect(pages.length).toBeGreaterThan(4)
+      for (const { crc, actual } of pages) {
+        expect(crc).toBe(actual)
+      }
+
+      const rows = await parquetReadObjects({ file })
+      expect(rows.map(row => row.color)).toEqual(colors)
+      expect(rows.map(row => row.listy)).toEqual(listy.map(list => list ?? undefined))
+    })
+  }
+
+  it('checksums compressed and uncompressed pages', async () => {
+    /** @type {CompressionCodec[]} */
+    const codecs = ['SNAPPY', 'UNCOMPRESSED']
+    for (const codec of codecs) {
+      const file = parquetWriteBuffer({ columnData: exampleData, codec, pageChecksums: true })
+      for (const { crc, actual } of pageChecksums(file)) {
+        expect(crc).toBe(actual)
+      }
+      expect(await parquetReadObjects({ file })).toEqual(await parquetReadObjects({ file: parquetWriteBuffer({ columnData: exampleData }) }))
+    }
+  })
+
+  it('detects a corrupted page', () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'color', data: colors }], pageChecksums: true })
+    const [dictionaryPage] = pageChecksums(file)
+    expect(dictionaryPage.type).toBe('DICTIONARY_PAGE')
+    // flip a bit in the page data
+    new Uint8Array(file)[dictionaryPage.offset] ^= 1
+    const [corrupted] = pageChecksums(file)
+    expect(corrupted.crc).toBe(dictionaryPage.crc)
+    expect(corrupted.actual).not.toBe(corrupted.crc)
+  })
+
+  it('writes checksums with parquetWriteRows', () => {
+    const writer = new ByteWriter()
+    parquetWriteRows({
+      writer,
+      columns: [{ name: 'id', type: 'INT32' }],
+      rows: [{ id: 1 }, { id: 2 }],
+      pageChecksums: true,
+    })
+    const [page] = pageChecksums(writer.getBuffer())
+    expect(page.crc).toBe(page.actual)
+  })
+
+  it('is off by default', () => {
+    const file = parquetWriteBuffer({ columnData: exampleData })
+    expect(pageChecksums(file).every(page => page.crc === undefined)).toBe(true)
+  })
+})
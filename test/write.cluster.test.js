@@ -0,0 +1,138 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter, parquetWriteBuffer, parquetWriteRows } from '../src/index.js'
+import { clusterOrder } from '../src/cluster.js'
+
+/**
+ * @import {ClusterCurve, ColumnSource} from '../src/types.js'
+ */
+
+// 64 x 64 grid of points in scrambled order
+const points = Array.from({ length: 4096 }, (_, i) => {
+  const cell = i * 1031 % 4096
+  return { x: cell % 64, y: Math.floor(cell / 64) }
+})
+
+/** @type {ColumnSource[]} */
+const columnData = [
+  { name: 'x', data: points.map(p => p.x), type: 'INT32' },
+  { name: 'y', data: points.map(p => p.y), type: 'INT32' },
+  { name: 'label', data: points.map(p => `${p.x},${p.y}`), type: 'STRING' },
+]
+
+/**
+ * Width of the x and y ranges in the statistics of each row group.
+ * @param {ArrayBuffer} file
+ * @returns {number[][]}
+ */
+function groupRanges(file) {
+  return parquetMetadata(file).row_groups.map(rowGroup => rowGroup.columns.slice(0, 2).map(chunk => {
+    const { min_value, max_value } = chunk.meta_data?.statistics ?? {}
+    return Number(max_value) - Number(min_value)
+  }))
+}
+
+describe('clusterOrder', () => {
+  const xs = [0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3]
+  const ys = [0, 1, 2, 3, 0, 1, 2, 3, 0, 1, 2, 3, 0, 1, 2, 3]
+
+  it('orders rows by interleaved bits', () => {
+    expect(clusterOrder([xs, ys], 'zorder').map(i => `${xs[i]}${ys[i]}`)).toEqual([
+      '00', '01', '10', '11', '02', '03', '12', '13', '20', '21', '30', '31', '22', '23', '32', '33',
+    ])
+  })
+
+  it('orders rows along a continuous hilbert curve', () => {
+    const order = clusterOrder([xs, ys], 'hilbert')
+    expect(order.map(i => `${xs[i]}${ys[i]}`)).toEqual([
+      '00', '10', '11', '01', '02', '03', '13', '12', '22', '23', '33', '32', '31', '21', '20', '30',
+    ])
+    for (let i = 1; i < order.length; i++) {
+      const step = Math.abs(xs[order[i]] - xs[order[i - 1]]) + Math.abs(ys[order[i]] - ys[order[i - 1]])
+      expect(step).toBe(1)
+    }
+  })
+
+  it('ranks any comparable values and puts nulls last', () => {
+    expect(clusterOrder([['b', null, 'c', 'a']], 'zorder')).toEqual([3, 0, 2, 1])
+    expect(clusterOrder([[30n, 10n, 20n]], 'hilbert')).toEqual([1, 2, 0])
+  })
+})
+
+describe('clusterBy', () => {
+  it('makes row group statistics selective for every clustered column', () => {
+    const plain = parquetWriteBuffer({ columnData, rowGroupSize: 256 })
+    expect(groupRanges(plain).every(([x, y]) => x === 63 && y === 63)).toBe(true)
+
+    /** @type {ClusterCurve[]} */
+    const curves = ['zorder', 'hilbert']
+    for (const curve of curves) {
+      const file = parquetWriteBuffer({ columnData, rowGroupSize: 256, clusterBy: { columns: ['x', 'y'], curve } })
+      const ranges = groupRanges(file)
+      expect(ranges).toHaveLength(16)
+      // each group of 256 rows is a 16 x 16 block of the grid
+      expect(ranges.every(([x, y]) => x === 15 && y === 15)).toBe(true)
+    }
+  })
+
+  it('keeps every row intact', async () => {
+    const file = parquetWriteBuffer({ columnData, clusterBy: { columns: ['x', 'y'], curve: 'hilbert' } })
+    const rows = await parquetReadObjects({ file })
+    expect(rows).toHaveLength(4096)
+    expect(rows.every(row => row.label === `${row.x},${row.y}`)).toBe(true)
+    expect(new Set(rows.map(row => row.label)).size).toBe(4096)
+  })
+
+  it('defaults to zorder and records no sorting_columns', async () => {
+    const file = parquetWriteBuffer({ columnData, clusterBy: { columns: ['x', 'y'] } })
+    const rows = await parquetReadObjects({ file, rowEnd: 4 })
+    expect(rows.map(row => row.label)).toEqual(['0,0', '0,1', '1,0', '1,1'])
+    expect(parquetMetadata(file).row_groups[0].sorting_columns).toBeUndefined()
+  })
+
+  it('applies sortBy within each clustered row group', async () => {
+    const file = parquetWriteBuffer({
+      columnData,
+      rowGroupSize: 256,
+      clusterBy: { columns: ['x', 'y'] },
+      sortBy: [{ column: 'y' }],
+    })
+    expect(groupRanges(file).every(([x, y]) => x === 15 && y === 15)).toBe(true)
+    const rows = await parquetReadObjects({ file, rowEnd: 256 })
+    expect(rows.map(row => row.y)).toEqual([...rows.map(row => row.y)].sort((a, b) => a - b))
+  })
+
+  it('clusters each buffer of parquetWriteRows', async () => {
+    const writer = new ByteWriter()
+    parquetWriteRows({
+      writer,
+      columns: [{ name: 'x', type: 'INT32' }, { name: 'y', type: 'INT32' }],
+      rows: points,
+      rowGroupSize: 1024,
+      clusterBy: { columns: ['x', 'y'] },
+    })
+    const file = writer.getBuffer()
+    const rows = await parquetReadObjects({ file })
+    // rows stay in their buffer
+    expect(rows.slice(0, 1024).map(row => `${row.x},${row.y}`).sort())
+      .toEqual(points.slice(0, 1024).map(p => `${p.x},${p.y}`).sort())
+    expect(rows.slice(0, 1024)).not.toEqual(points.slice(0, 1024))
+  })
+
+  it('throws for invalid options', () => {
+    expect(() => parquetWriteBuffer({ columnData, clusterBy: { columns: ['z'] } }))
+      .toThrow('parquet clusterBy column not found: z')
+    expect(() => parquetWriteBuffer({ columnData, clusterBy: { columns: [] } }))
+      .toThrow('parquet clusterBy requires at least one column')
+    /** @type {any} */
+    const peano = { columns: ['x'], curve: 'peano' }
+    expect(() => parquetWriteBuffer({ columnData, clusterBy: peano }))
+      .toThrow('parquet clusterBy curve must be zorder or hilbert, got peano')
+  })
+
+  it('throws when writing column by column', () => {
+    const schema = parquetMetadata(parquetWriteBuffer({ columnData })).schema
+    const pq = new ParquetWriter({ writer: new ByteWriter(), schema, clusterBy: { columns: ['x'] } })
+    expect(() => pq.beginRowGroup()).toThrow('parquet clusterBy is not supported for row groups written column by column')
+  })
+})
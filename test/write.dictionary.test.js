@@ -88,3 +88,56 @@ describe('parquetWrite dictionary encoding', () => {
     }
   })
 })
+
+describe('parquetWrite dictionary fallback', () => {
+  // repetitive values, then unique values that outgrow the dictionary
+  const data = Array.from({ length: 4000 }, (_, i) => i < 2000 ? ['red', 'green', 'blue'][i % 3] : `https://example.com/item/${i}`)
+
+  it('keeps dictionary pages written before the dictionary outgrew pageSize', async () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'value', data }], pageSize: 4096, rowGroupSize: 4000 })
+    const meta = parquetMetadata(file).row_groups[0].columns[0].meta_data
+    expect(meta?.dictionary_page_offset).toBeDefined()
+    expect(meta?.encodings).toEqual(['RLE_DICTIONARY', 'PLAIN'])
+    const [dictionaryPage, dictionaryPages, plainPages] = meta?.encoding_stats ?? []
+    expect(dictionaryPage).toEqual({ page_type: 'DICTIONARY_PAGE', encoding: 'PLAIN', count: 1 })
+    expect(dictionaryPages).toMatchObject({ page_type: 'DATA_PAGE_V2', encoding: 'RLE_DICTIONARY' })
+    expect(plainPages).toMatchObject({ page_type: 'DATA_PAGE_V2', encoding: 'PLAIN' })
+    expect(dictionaryPages.count).toBeGreaterThan(0)
+    expect(plainPages.count).toBeGreaterThan(1)
+
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.value)).toEqual(data)
+  })
+
+  it('uses the chosen encoding for fallback pages with encoding auto', async () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'value', data, encoding: 'auto' }], pageSize: 4096, rowGroupSize: 4000 })
+    const meta = parquetMetadata(file).row_groups[0].columns[0].meta_data
+    expect(meta?.encodings).toEqual(['RLE_DICTIONARY', 'DELTA_BYTE_ARRAY'])
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.value)).toEqual(data)
+  })
+
+  it('falls back at a row boundary of repeated columns', async () => {
+    const lists = Array.from({ length: 1000 }, (_, i) => i < 500 ? ['a', 'b', 'c'] : [`x${i}`, `y${i}`, `z${i}`])
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'list', data: lists }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'list', repetition_type: 'OPTIONAL', num_children: 1, converted_type: 'LIST' },
+        { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+        { name: 'element', repetition_type: 'OPTIONAL', type: 'BYTE_ARRAY', converted_type: 'UTF8' },
+      ],
+      pageSize: 2000,
+    })
+    const meta = parquetMetadata(file).row_groups[0].columns[0].meta_data
+    expect(meta?.encodings).toEqual(['RLE_DICTIONARY', 'PLAIN'])
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.list)).toEqual(lists)
+  })
+
+  it('writes page indexes across the fallback', async () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'value', data, columnIndex: true }], pageSize: 4096, rowGroupSize: 4000 })
+    const rows = await parquetReadObjects({ file, filter: { value: { $eq: 'https://example.com/item/3999' } }, useOffsetIndex: true })
+    expect(rows).toEqual([{ value: 'https://example.com/item/3999' }])
+  })
+})
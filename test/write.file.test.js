@@ -1,9 +1,13 @@
 import fs from 'fs'
 import { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } from 'hyparquet'
 import { afterEach, beforeEach, describe, expect, it } from 'vitest'
-import { parquetWriteFile } from '../src/node.js'
+import { parquetAppendFile, parquetWriteFile, parquetWriteFileAsync } from '../src/node.js'
 import { exampleData, exampleMetadata } from './example.js'
 
+/**
+ * @import {ColumnSource} from '../src/types.js'
+ */
+
 const filedir = 'data/'
 const filename = 'data/write.file.parquet'
 
@@ -39,4 +43,70 @@ describe('parquetWriteFile', () => {
       { bool: false, int: 0x7fffffff, bigint: 0x7fffffffffffffffn, float: Infinity, double: 1e100, string: 'd', nullable: null },
     ])
   })
+
+  it('writes parquet file asynchronously', async () => {
+    const columnData = [{ name: 'n', data: Array.from({ length: 2500 }, (_, i) => i) }]
+    const result = parquetWriteFileAsync({ filename, columnData, rowGroupSize: 1000, chunkSize: 1000 })
+    expect(result).toBeInstanceOf(Promise)
+    await result
+
+    const file = await asyncBufferFromFile(filename)
+    const metadata = await parquetMetadataAsync(file)
+    expect(metadata.row_groups).toHaveLength(3)
+    const rows = await parquetReadObjects({ file, metadata })
+    expect(rows.map(row => row.n)).toEqual(columnData[0].data)
+  })
+
+  it('writes parquet file atomically', async () => {
+    parquetWriteFile({ filename, columnData: exampleData, atomic: true })
+    expect(fs.readdirSync(filedir).filter(name => name.endsWith('.tmp'))).toEqual([])
+    const file = await asyncBufferFromFile(filename)
+    const metadata = await parquetMetadataAsync(file)
+    expect(metadata).toEqual(exampleMetadata)
+  })
+
+  it('leaves the existing file in place when an atomic write fails', async () => {
+    parquetWriteFile({ filename, columnData: exampleData })
+    const original = fs.readFileSync(filename)
+    /** @type {ColumnSource[]} */
+    const columnData = [{ name: 'n', data: [1, 2, 'three'], type: 'INT32' }]
+
+    expect(() => parquetWriteFile({ filename, columnData, atomic: true })).toThrow()
+    await expect(parquetWriteFileAsync({ filename, columnData, atomic: true })).rejects.toThrow()
+    expect(fs.readdirSync(filedir).filter(name => name.endsWith('.tmp'))).toEqual([])
+    expect(fs.readFileSync(filename)).toEqual(original)
+  })
+
+  it('appends row groups to an existing parquet file', async () => {
+    parquetWriteFile({ filename, columnData: exampleData, kvMetadata: [{ key: 'batch', value: '1' }] })
+    const originalSize = fs.statSync(filename).size
+    parquetAppendFile({ filename, columnData: exampleData, kvMetadata: [{ key: 'batch', value: '2' }] })
+    expect(fs.statSync(filename).size).toBeGreaterThan(originalSize)
+
+    const file = await asyncBufferFromFile(filename)
+    const metadata = await parquetMetadataAsync(file)
+    expect(metadata.num_rows).toBe(8n)
+    expect(metadata.row_groups).toHaveLength(2)
+    expect(metadata.key_value_metadata).toEqual([{ key: 'batch', value: '2' }])
+    const result = await parquetReadObjects({ file, metadata })
+    expect(result).toHaveLength(8)
+    expect(result.slice(4)).toEqual(result.slice(0, 4))
+  })
+
+  it('leaves the file unchanged when an append fails', async () => {
+    parquetWriteFile({ filename, columnData: exampleData })
+    const original = fs.readFileSync(filename)
+    const badData = exampleData.map(column => column.name === 'int' ? { ...column, data: [1, 2, 'three', 4] } : column)
+
+    expect(() => parquetAppendFile({ filename, columnData: exampleData.slice(1) }))
+      .toThrow('parquet append columns must match existing file')
+    expect(fs.readFileSync(filename)).toEqual(original)
+    expect(() => parquetAppendFile({ filename, columnData: badData })).toThrow()
+    expect(fs.readFileSync(filename)).toEqual(original)
+    expect(() => parquetAppendFile({ filename, columnData: exampleData, signal: AbortSignal.abort() })).toThrow()
+    expect(fs.readFileSync(filename)).toEqual(original)
+
+    const result = await parquetReadObjects({ file: await asyncBufferFromFile(filename) })
+    expect(result).toHaveLength(4)
+  })
 })
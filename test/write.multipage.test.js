@@ -1,11 +1,25 @@
 import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { readOffsetIndex } from 'hyparquet/src/indexes.js'
+import { deserializeTCompactProtocol } from 'hyparquet/src/thrift.js'
 import { describe, expect, it } from 'vitest'
 import { parquetWriteBuffer } from '../src/index.js'
 
 /**
+ * @import {ColumnChunk} from 'hyparquet'
  * @import {ColumnSource} from '../src/types.js'
  */
 
+/**
+ * First row index of each page of a column chunk.
+ * @param {ArrayBuffer} buffer
+ * @param {ColumnChunk} chunk
+ * @returns {bigint[]}
+ */
+function firstRowIndexes(buffer, chunk) {
+  const view = new DataView(buffer, Number(chunk.offset_index_offset), chunk.offset_index_length)
+  return readOffsetIndex({ view, offset: 0 }).page_locations.map(page => page.first_row_index)
+}
+
 describe('parquetWrite multi-page', () => {
   it('writes with small pageSize and data is still readable', async () => {
     // Generate enough data to span multiple pages with a small pageSize
@@ -161,4 +175,52 @@ describe('parquetWrite multi-page', () => {
     // We should have multiple pages and an offset index
     expect(column1.offset_index_offset).toBeDefined()
   })
+
+  it('limits the number of rows per page', () => {
+    const data = Array.from({ length: 1000 }, (_, i) => i)
+    const buffer = parquetWriteBuffer({ columnData: [{ name: 'id', data, type: 'INT32' }], pageRowLimit: 300 })
+    const chunk = parquetMetadata(buffer).row_groups[0].columns[0]
+    expect(firstRowIndexes(buffer, chunk)).toEqual([0n, 300n, 600n, 900n])
+  })
+
+  it('limits pages to 20000 rows by default', () => {
+    const data = Array.from({ length: 50000 }, (_, i) => i % 2 === 0)
+    const buffer = parquetWriteBuffer({ columnData: [{ name: 'flag', data }], rowGroupSize: 50000 })
+    const chunk = parquetMetadata(buffer).row_groups[0].columns[0]
+    expect(firstRowIndexes(buffer, chunk)).toEqual([0n, 20000n, 40000n])
+  })
+
+  it('starts every page of a repeated column at a row boundary', async () => {
+    const lists = Array.from({ length: 200 }, (_, i) => Array.from({ length: i % 7 }, (_, j) => i * 10 + j))
+    const buffer = parquetWriteBuffer({
+      columnData: [{ name: 'list', data: lists }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'list', repetition_type: 'OPTIONAL', num_children: 1, converted_type: 'LIST' },
+        { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+        { name: 'element', repetition_type: 'OPTIONAL', type: 'INT32' },
+      ],
+      pageSize: 50,
+      pageRowLimit: 20,
+    })
+    const chunk = parquetMetadata(buffer).row_groups[0].columns[0]
+
+    // v2 page headers count whole rows, matching the offset index
+    /** @type {number[]} */
+    const pageRows = []
+    const reader = { view: new DataView(buffer), offset: Number(chunk.meta_data?.data_page_offset) }
+    const end = reader.offset + Number(chunk.meta_data?.total_compressed_size)
+    while (reader.offset < end) {
+      const header = deserializeTCompactProtocol(reader)
+      pageRows.push(header.field_8.field_3)
+      reader.offset += header.field_3
+    }
+    expect(pageRows.length).toBeGreaterThan(10)
+    expect(pageRows.every(rows => rows <= 20)).toBe(true)
+    const starts = pageRows.map((_, i) => BigInt(pageRows.slice(0, i).reduce((a, b) => a + b, 0)))
+    expect(firstRowIndexes(buffer, chunk)).toEqual(starts)
+
+    const rows = await parquetReadObjects({ file: buffer, rowStart: 95, rowEnd: 105, useOffsetIndex: true })
+    expect(rows.map(row => row.list)).toEqual(lists.slice(95, 105))
+  })
 })
@@ -0,0 +1,111 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { readColumnIndex } from 'hyparquet/src/indexes.js'
+import { PageTypes } from 'hyparquet/src/constants.js'
+import { describe, expect, it } from 'vitest'
+import { parquetWriteBuffer } from '../src/index.js'
+import { pageHeaders } from './pages.js'
+
+/**
+ * @import {ColumnChunk} from 'hyparquet'
+ */
+
+/**
+ * Raw statistics from each data page header of a column chunk.
+ * @param {ArrayBuffer} file
+ * @param {ColumnChunk} chunk
+ * @returns {any[]} thrift statistics objects, undefined if absent
+ */
+function pageStatistics(file, chunk) {
+  const stats = []
+  for (const { header } of pageHeaders(file, chunk)) {
+    if (PageTypes[header.field_1] === 'DICTIONARY_PAGE') continue
+    stats.push(header.field_5 ? header.field_5.field_5 : header.field_8.field_8)
+  }
+  return stats
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function int32(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getInt32(0, true)
+}
+
+const ids = Array.from({ length: 250 }, (_, i) => i % 7 ? i : null)
+
+describe('pageStatistics', () => {
+  it('writes min, max and null count to v2 page headers', async () => {
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'id', data: ids, type: 'INT32', pageStatistics: true }],
+      pageRowLimit: 100,
+    })
+    const stats = pageStatistics(file, parquetMetadata(file).row_groups[0].columns[0])
+    expect(stats).toHaveLength(3)
+    expect(stats.map(s => [int32(s?.field_6), int32(s?.field_5), s?.field_3])).toEqual([
+      [1, 99, 15n],
+      [100, 199, 14n],
+      [200, 249, 7n],
+    ])
+    expect((await parquetReadObjects({ file })).map(row => row.id)).toEqual(ids)
+  })
+
+  it('writes statistics to v1 page headers', async () => {
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'id', data: ids, type: 'INT32', pageStatistics: true }],
+      pageRowLimit: 100,
+      pageVersion: 1,
+    })
+    const stats = pageStatistics(file, parquetMetadata(file).row_groups[0].columns[0])
+    expect(stats.map(s => [int32(s?.field_6), int32(s?.field_5), s?.field_3])).toEqual([
+      [1, 99, 15n],
+      [100, 199, 14n],
+      [200, 249, 7n],
+    ])
+    expect((await parquetReadObjects({ file })).map(row => row.id)).toEqual(ids)
+  })
+
+  it('uses original values for dictionary encoded pages', () => {
+    const data = Array.from({ length: 300 }, (_, i) => ['cherry', 'apple', 'banana'][Math.floor(i / 100)])
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'fruit', data, pageStatistics: true }],
+      pageRowLimit: 100,
+    })
+    const chunk = parquetMetadata(file).row_groups[0].columns[0]
+    expect(chunk.meta_data?.encodings).toEqual(['RLE_DICTIONARY'])
+    const decoder = new TextDecoder()
+    expect(pageStatistics(file, chunk).map(s => decoder.decode(s?.field_6))).toEqual(['cherry', 'apple', 'banana'])
+  })
+
+  it('matches the column index', () => {
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'id', data: ids, type: 'INT32', pageStatistics: true, columnIndex: true }],
+      pageRowLimit: 100,
+    })
+    const metadata = parquetMetadata(file)
+    const chunk = metadata.row_groups[0].columns[0]
+    const columnIndex = readColumnIndex({
+      view: new DataView(file, Number(chunk.column_index_offset), chunk.column_index_length),
+      offset: 0,
+    }, metadata.schema[1])
+    const stats = pageStatistics(file, chunk)
+    expect(stats.map(s => int32(s?.field_6))).toEqual(columnIndex.min_values)
+    expect(stats.map(s => int32(s?.field_5))).toEqual(columnIndex.max_values)
+    expect(stats.map(s => s?.field_3)).toEqual(columnIndex.null_counts)
+  })
+
+  it('omits min and max for all-null pages', () => {
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'id', data: [null, null, null], type: 'INT32', pageStatistics: true }],
+    })
+    const [stats] = pageStatistics(file, parquetMetadata(file).row_groups[0].columns[0])
+    expect(stats?.field_3).toBe(3n)
+    expect(stats?.field_5).toBeUndefined()
+    expect(stats?.field_6).toBeUndefined()
+  })
+
+  it('is off by default', () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'id', data: ids, type: 'INT32' }] })
+    expect(pageStatistics(file, parquetMetadata(file).row_groups[0].columns[0])).toEqual([undefined])
+  })
+})
@@ -0,0 +1,133 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { PageTypes } from 'hyparquet/src/constants.js'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, parquetWriteBuffer, parquetWriteRows } from '../src/index.js'
+import { exampleData } from './example.js'
+import { pageHeaders } from './pages.js'
+
+/**
+ * @import {ColumnChunk, CompressionCodec, SchemaElement} from 'hyparquet'
+ * @import {ColumnSource} from '../src/types.js'
+ */
+
+/**
+ * Page types of a column chunk, in file order.
+ * @param {ArrayBuffer} file
+ * @param {ColumnChunk} chunk
+ * @returns {string[]}
+ */
+function pageTypes(file, chunk) {
+  return Array.from(pageHeaders(file, chunk), ({ header }) => PageTypes[header.field_1])
+}
+
+/** @type {SchemaElement[]} */
+const listSchema = [
+  { name: 'root', num_children: 2 },
+  { name: 'listy', repetition_type: 'OPTIONAL', num_children: 1, converted_type: 'LIST' },
+  { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+  { name: 'element', repetition_type: 'OPTIONAL', type: 'INT32' },
+  { name: 'id', repetition_type: 'REQUIRED', type: 'INT32' },
+]
+
+describe('pageVersion', () => {
+  it('writes v1 data pages that round trip', async () => {
+    const v1 = parquetWriteBuffer({ columnData: exampleData, pageVersion: 1 })
+    const v2 = parquetWriteBuffer({ columnData: exampleData })
+    expect(await parquetReadObjects({ file: v1 })).toEqual(await parquetReadObjects({ file: v2 }))
+
+    for (const chunk of parquetMetadata(v1).row_groups[0].columns) {
+      expect(pageTypes(v1, chunk)).toEqual(['DATA_PAGE'])
+      expect(chunk.meta_data?.encoding_stats).toEqual([
+        { page_type: 'DATA_PAGE', encoding: chunk.meta_data?.encodings[0], count: 1 },
+      ])
+    }
+  })
+
+  it('writes repetition and definition levels in v1 pages', async () => {
+    const listy = [[1, 2], null, [], [3, null, 4], [null]]
+    /** @type {CompressionCodec[]} */
+    const codecs = ['SNAPPY', 'UNCOMPRESSED']
+    for (const codec of codecs) {
+      const file = parquetWriteBuffer({
+        columnData: [{ name: 'listy', data: listy }, { name: 'id', data: [1, 2, 3, 4, 5] }],
+        schema: listSchema,
+        codec,
+        pageVersion: 1,
+      })
+      const rows = await parquetReadObjects({ file })
+      expect(rows.map(row => row.listy)).toEqual([[1, 2], undefined, [], [3, null, 4], [null]])
+      expect(rows.map(row => row.id)).toEqual([1, 2, 3, 4, 5])
+    }
+  })
+
+  it('uses PLAIN_DICTIONARY for dictionary encoded v1 columns', async () => {
+    const data = Array.from({ length: 1000 }, (_, i) => ['red', 'green', null, 'blue'][i % 4])
+    const file = parquetWriteBuffer({ columnData: [{ name: 'color', data }], pageVersion: 1, pageSize: 100 })
+    const chunk = parquetMetadata(file).row_groups[0].columns[0]
+    const types = pageTypes(file, chunk)
+    expect(types[0]).toBe('DICTIONARY_PAGE')
+    expect(types.length).toBeGreaterThan(2)
+    expect(types.slice(1).every(type => type === 'DATA_PAGE')).toBe(true)
+    expect(chunk.meta_data?.encodings).toEqual(['PLAIN_DICTIONARY'])
+    expect(chunk.meta_data?.encoding_stats).toEqual([
+      { page_type: 'DICTIONARY_PAGE', encoding: 'PLAIN_DICTIONARY', count: 1 },
+      { page_type: 'DATA_PAGE', encoding: 'PLAIN_DICTIONARY', count: types.length - 1 },
+    ])
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.color)).toEqual(data)
+  })
+
+  it('writes PLAIN booleans in v1 pages', async () => {
+    const data = Array.from({ length: 100 }, (_, i) => i % 3 === 0)
+    const file = parquetWriteBuffer({ columnData: [{ name: 'flag', data }], pageVersion: 1 })
+    const chunk = parquetMetadata(file).row_groups[0].columns[0]
+    expect(chunk.meta_data?.encodings).toEqual(['PLAIN'])
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.flag)).toEqual(data)
+  })
+
+  it('writes v1 pages with other encodings', async () => {
+    /** @type {ColumnSource[]} */
+    const columnData = [
+      { name: 'delta', data: [1, 5, 2, null, 9], type: 'INT32', encoding: 'DELTA_BINARY_PACKED' },
+      { name: 'split', data: [1.5, 2.5, null, 3.5, 4.5], type: 'DOUBLE', encoding: 'BYTE_STREAM_SPLIT' },
+      { name: 'lengths', data: ['a', 'bb', null, 'ccc', ''], type: 'STRING', encoding: 'DELTA_LENGTH_BYTE_ARRAY' },
+      { name: 'flags', data: Array.from({ length: 5 }, (_, i) => i % 2 === 0), type: 'BOOLEAN', encoding: 'RLE' },
+    ]
+    const file = parquetWriteBuffer({ columnData, pageVersion: 1 })
+    const rows = await parquetReadObjects({ file })
+    expect(rows).toEqual([
+      { delta: 1, split: 1.5, lengths: 'a', flags: true },
+      { delta: 5, split: 2.5, lengths: 'bb', flags: false },
+      { delta: 2, split: null, lengths: null, flags: true },
+      { delta: null, split: 3.5, lengths: 'ccc', flags: false },
+      { delta: 9, split: 4.5, lengths: '', flags: true },
+    ])
+  })
+
+  it('overrides the page version per column', () => {
+    const file = parquetWriteBuffer({
+      columnData: [
+        { name: 'a', data: [1, 2, 3], pageVersion: 2 },
+        { name: 'b', data: [1, 2, 3] },
+      ],
+      pageVersion: 1,
+    })
+    const [a, b] = parquetMetadata(file).row_groups[0].columns
+    expect(pageTypes(file, a)).toEqual(['DATA_PAGE_V2'])
+    expect(pageTypes(file, b)).toEqual(['DATA_PAGE'])
+  })
+
+  it('writes v1 pages with parquetWriteRows', async () => {
+    const writer = new ByteWriter()
+    parquetWriteRows({
+      writer,
+      columns: [{ name: 'id', type: 'INT32' }, { name: 'name', type: 'STRING' }],
+      rows: [{ id: 1, name: 'a' }, { id: 2, name: null }],
+      pageVersion: 1,
+    })
+    const file = writer.getBuffer()
+    expect(pageTypes(file, parquetMetadata(file).row_groups[0].columns[1])).toEqual(['DATA_PAGE'])
+    expect(await parquetReadObjects({ file })).toEqual([{ id: 1, name: 'a' }, { id: 2, name: null }])
+  })
+})
@@ -0,0 +1,125 @@
+import { parquetMetadata } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter, parquetWrite, parquetWriteRows } from '../src/index.js'
+
+/**
+ * @import {ColumnSource, ParquetWriteEvent} from '../src/types.js'
+ */
+
+/** @type {ColumnSource[]} */
+const columnData = [
+  { name: 'id', data: Array.from({ length: 200 }, (_, i) => i), type: 'INT32' },
+  { name: 'color', data: Array.from({ length: 200 }, (_, i) => ['red', 'green', 'blue'][i % 3]), type: 'STRING' },
+]
+
+describe('onProgress', () => {
+  it('reports row groups, column chunks and the footer in order', () => {
+    /** @type {ParquetWriteEvent[]} */
+    const events = []
+    const writer = new ByteWriter()
+    /** @type {any} */
+    const written = parquetWrite({ writer, columnData, rowGroupSize: 150, onProgress: event => events.push(event) })
+
+    expect(events.map(event => event.type)).toEqual([
+      'rowGroupStarted', 'columnChunkFinished', 'columnChunkFinished', 'rowGroupFinished',
+      'rowGroupStarted', 'columnChunkFinished', 'columnChunkFinished', 'rowGroupFinished',
+      'indexesWritten', 'bloomFiltersWritten', 'footerWritten',
+    ])
+    expect(events[0]).toEqual({ type: 'rowGroupStarted', rowGroup: 0, rows: 150 })
+    expect(events[4]).toEqual({ type: 'rowGroupStarted', rowGroup: 1, rows: 50 })
+
+    const metadata = parquetMetadata(writer.getBuffer())
+    expect(events[3]).toEqual({
+      type: 'rowGroupFinished',
+      rowGroup: 0,
+      rows: 150,
+      bytes: Number(metadata.row_groups[0].total_byte_size),
+    })
+    const [id, color] = metadata.row_groups[0].columns
+    expect(events[1]).toMatchObject({
+      type: 'columnChunkFinished',
+      rowGroup: 0,
+      column: 'id',
+      encoding: 'PLAIN',
+      dictionary: false,
+      compressedBytes: Number(id.meta_data?.total_compressed_size),
+      pages: 1,
+    })
+    expect(events[2]).toMatchObject({
+      column: 'color',
+      encoding: 'RLE_DICTIONARY',
+      dictionary: true,
+      compressedBytes: Number(color.meta_data?.total_compressed_size),
+    })
+    expect(events.at(-1)).toEqual({ type: 'footerWritten', bytes: written.metadata.metadata_length + 8 })
+  })
+
+  it('reports uncompressed bytes and pages per column chunk', () => {
+    /** @type {ParquetWriteEvent[]} */
+    const events = []
+    const data = Array.from({ length: 1000 }, () => 'the same long string value')
+    parquetWrite({
+      writer: new ByteWriter(),
+      columnData: [
+        { name: 'plain', data, encoding: 'PLAIN' },
+        { name: 'raw', data, encoding: 'PLAIN', codec: 'UNCOMPRESSED' },
+      ],
+      pageSize: 4096,
+      onProgress: event => events.push(event),
+    })
+    const [plain, raw] = events.filter(event => event.type === 'columnChunkFinished')
+    if (plain.type !== 'columnChunkFinished' || raw.type !== 'columnChunkFinished') throw new Error('expected column chunks')
+    expect(plain.pages).toBe(raw.pages)
+    expect(plain.pages).toBeGreaterThan(1)
+    expect(plain.uncompressedBytes).toBeGreaterThan(plain.compressedBytes * 5)
+    expect(raw.uncompressedBytes).toBe(raw.compressedBytes)
+  })
+
+  it('reports indexes and bloom filters', () => {
+    /** @type {ParquetWriteEvent[]} */
+    const events = []
+    parquetWrite({
+      writer: new ByteWriter(),
+      columnData: [{ ...columnData[0], columnIndex: true, bloomFilter: true }],
+      pageSize: 100,
+      onProgress: event => events.push(event),
+    })
+    const indexes = events.find(event => event.type === 'indexesWritten')
+    const blooms = events.find(event => event.type === 'bloomFiltersWritten')
+    expect(indexes && 'bytes' in indexes && indexes.bytes).toBeGreaterThan(0)
+    expect(blooms && 'bytes' in blooms && blooms.bytes).toBeGreaterThan(0)
+  })
+
+  it('reports row groups written column by column', () => {
+    /** @type {ParquetWriteEvent[]} */
+    const events = []
+    const pq = new ParquetWriter({
+      writer: new ByteWriter(),
+      schema: [{ name: 'root', num_children: 1 }, { name: 'id', type: 'INT32', repetition_type: 'REQUIRED' }],
+      onProgress: event => events.push(event),
+    })
+    pq.beginRowGroup()
+    pq.writeColumnChunk('id', [1, 2, 3])
+    pq.endRowGroup()
+    expect(events.map(event => event.type)).toEqual(['rowGroupStarted', 'columnChunkFinished', 'rowGroupFinished'])
+    expect(events[0]).toEqual({ type: 'rowGroupStarted', rowGroup: 0 })
+    expect(events[2]).toMatchObject({ rowGroup: 0, rows: 3 })
+  })
+
+  it('reports row groups written from rows', async () => {
+    /** @type {ParquetWriteEvent[]} */
+    const events = []
+    async function* rows() {
+      for (let id = 0; id < 25; id++) yield { id }
+    }
+    await parquetWriteRows({
+      writer: new ByteWriter(),
+      rows: rows(),
+      columns: [{ name: 'id' }],
+      rowGroupSize: 10,
+      onProgress: event => events.push(event),
+    })
+    const finished = events.filter(event => event.type === 'rowGroupFinished')
+    expect(finished.map(event => 'rows' in event && event.rows)).toEqual([10, 10, 5])
+  })
+})
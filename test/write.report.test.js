@@ -0,0 +1,72 @@
+import { parquetMetadata } from 'hyparquet'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, parquetWrite, parquetWriteRows } from '../src/index.js'
+
+/**
+ * @import {ColumnSource} from '../src/types.js'
+ */
+
+/** @type {ColumnSource[]} */
+const columnData = [
+  { name: 'id', data: Array.from({ length: 200 }, (_, i) => i), type: 'INT32', bloomFilter: true },
+  { name: 'color', data: Array.from({ length: 200 }, (_, i) => i % 10 ? ['red', 'green', 'blue'][i % 3] : null), type: 'STRING' },
+  { name: 'text', data: Array.from({ length: 200 }, () => 'lorem ipsum dolor sit amet'), type: 'STRING', encoding: 'PLAIN', codec: 'UNCOMPRESSED' },
+]
+
+describe('write report', () => {
+  it('summarizes each column across row groups', () => {
+    const writer = new ByteWriter()
+    const result = parquetWrite({ writer, columnData, rowGroupSize: 150 })
+    if (result instanceof Promise) throw new Error('expected sync write')
+    const { metadata, report } = result
+    const file = writer.getBuffer()
+
+    expect(report.fileBytes).toBe(file.byteLength)
+    expect(report.footerBytes).toBe(metadata.metadata_length + 8)
+    expect(report.columns.map(column => column.column)).toEqual(['id', 'color', 'text'])
+
+    const [id, color, text] = report.columns
+    const chunks = parquetMetadata(file).row_groups.map(rowGroup => rowGroup.columns)
+    expect(id).toMatchObject({
+      encodings: ['PLAIN'],
+      codec: 'SNAPPY',
+      nullCount: 0,
+      minValue: -0, // zero min is normalized to -0, as in the statistics
+      maxValue: 199,
+    })
+    expect(id.compressedBytes).toBe(chunks.reduce((sum, [chunk]) => sum + Number(chunk.meta_data?.total_compressed_size), 0))
+    expect(id.bloomFilterBytes).toBe(chunks.reduce((sum, [chunk]) => sum + Number(chunk.meta_data?.bloom_filter_length), 0))
+    expect(id.bloomFilterBytes).toBeGreaterThan(0)
+
+    expect(color).toMatchObject({
+      encodings: ['RLE_DICTIONARY'],
+      nullCount: 20,
+      minValue: 'blue',
+      maxValue: 'red',
+      bloomFilterBytes: 0,
+    })
+    expect(color.compressionRatio).toBe(color.uncompressedBytes / color.compressedBytes)
+
+    // uncompressed columns report their size as is
+    expect(text.codec).toBe('UNCOMPRESSED')
+    expect(text.compressionRatio).toBe(1)
+    expect(text.uncompressedBytes).toBe(text.compressedBytes)
+  })
+
+  it('omits null counts and bounds without statistics', () => {
+    const result = parquetWrite({ writer: new ByteWriter(), columnData, statistics: false })
+    if (result instanceof Promise) throw new Error('expected sync write')
+    const [id] = result.report.columns
+    expect(id.nullCount).toBeUndefined()
+    expect(id.minValue).toBeUndefined()
+    expect(id.maxValue).toBeUndefined()
+  })
+
+  it('is returned by parquetWriteRows', async () => {
+    async function* rows() {
+      for (let i = 0; i < 10; i++) yield { name: `name ${i}` }
+    }
+    const { report } = await parquetWriteRows({ writer: new ByteWriter(), rows: rows(), columns: [{ name: 'name' }] })
+    expect(report.columns).toMatchObject([{ column: 'name', minValue: 'name 0', maxValue: 'name 9', nullCount: 0 }])
+  })
+})
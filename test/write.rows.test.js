@@ -1,7 +1,11 @@
-import { parquetReadObjects } from 'hyparquet'
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
 import { describe, expect, it } from 'vitest'
 import { ByteWriter, parquetWriteBuffer, parquetWriteRows } from '../src/index.js'
 
+/**
+ * @import {ParquetWriteRowsOptions} from '../src/types.js'
+ */
+
 /**
  * @param {any} args
  * @returns {ArrayBuffer}
@@ -66,6 +70,59 @@ describe('parquetWriteRows', () => {
     expect(out).toEqual([{ a: 1, b: 2 }, { a: 3, b: null }, { a: null, b: 4 }])
   })
 
+  it('splits row groups by estimated bytes', async () => {
+    const wide = Array.from({ length: 50 }, (_, i) => ({ json: { text: 'y'.repeat(i < 25 ? 10 : 200) } }))
+    const wideColumns = [{ name: 'json', type: 'JSON' }]
+    // rows are 4 + 10 bytes, then 4 + 200 bytes
+    const expected = [26n, 2n, 2n]
+    const buffer = writeRows({ rows: wide, columns: wideColumns, rowGroupBytes: 400 })
+    expect(parquetMetadata(buffer).row_groups.map(rg => rg.num_rows).slice(0, 3)).toEqual(expected)
+    expect(await parquetReadObjects({ file: buffer })).toEqual(wide)
+
+    // same groups from an iterable
+    const fromIterable = writeRows({ rows: new Set(wide), columns: wideColumns, rowGroupBytes: 400 })
+    expect(new Uint8Array(fromIterable)).toEqual(new Uint8Array(buffer))
+  })
+
+  it('writes row groups early once maxBufferedBytes is reached', async () => {
+    // 10 small rows, 2 large rows, 10 small rows
+    const mixed = Array.from({ length: 22 }, (_, i) => ({
+      id: i,
+      payload: i === 10 || i === 11 ? { text: 'x'.repeat(1000) } : { text: 'small' },
+    }))
+    /** @type {ParquetWriteRowsOptions['columns']} */
+    const mixedColumns = [{ name: 'id', type: 'INT32' }, { name: 'payload', type: 'JSON' }]
+    const result = parquetWriteRows({ writer: new ByteWriter(), rows: mixed, columns: mixedColumns, maxBufferedBytes: 500 })
+    if (result instanceof Promise) throw new Error('expected sync write')
+    // each small row is 4 + 4 + 5 bytes, so the budget is reached by the first large row
+    expect(result.metadata.row_groups.map(rg => rg.num_rows)).toEqual([11n, 1n, 10n])
+
+    const buffer = writeRows({ rows: mixed, columns: mixedColumns, maxBufferedBytes: 500, rowGroupSize: 8 })
+    expect(parquetMetadata(buffer).row_groups.map(rg => rg.num_rows)).toEqual([8n, 3n, 1n, 8n, 2n])
+    expect(await parquetReadObjects({ file: buffer })).toEqual(mixed)
+
+    // same groups from an async iterable
+    const writer = new ByteWriter()
+    const fromAsync = await parquetWriteRows({
+      writer,
+      rows: (async function* () { yield* mixed })(),
+      columns: mixedColumns,
+      maxBufferedBytes: 500,
+    })
+    expect(fromAsync.metadata.row_groups.map(rg => rg.num_rows)).toEqual([11n, 1n, 10n])
+  })
+
+  it('cuts row groups earlier for large rows under the same maxBufferedBytes', () => {
+    const small = Array.from({ length: 50 }, (_, id) => ({ id, name: 'a' }))
+    const large = Array.from({ length: 50 }, (_, id) => ({ id, name: 'x'.repeat(100) }))
+    const nameColumns = [{ name: 'id' }, { name: 'name' }]
+    // 8 + 1 bytes per small row, 8 + 100 bytes per large row
+    const smallGroups = parquetMetadata(writeRows({ rows: small, columns: nameColumns, maxBufferedBytes: 1000 })).row_groups
+    const largeGroups = parquetMetadata(writeRows({ rows: large, columns: nameColumns, maxBufferedBytes: 1000 })).row_groups
+    expect(smallGroups.map(rg => rg.num_rows)).toEqual([50n])
+    expect(largeGroups.map(rg => rg.num_rows)).toEqual([10n, 10n, 10n, 10n, 10n])
+  })
+
   it('throws when rowGroupSize is an empty array', () => {
     expect(() => writeRows({ rows, columns, rowGroupSize: [] })).toThrow('rowGroupSize array cannot be empty')
   })
@@ -176,7 +233,8 @@ describe('parquetWriteRows', () => {
     it('stays synchronous for a sync sink', () => {
       const writer = new ByteWriter()
       const result = parquetWriteRows({ writer, rows, columns, rowGroupSize: 50 })
-      expect(result).toBeUndefined()
+      expect(result).not.toBeInstanceOf(Promise)
+      expect(result).toMatchObject({ metadata: { num_rows: BigInt(rows.length) } })
     })
   })
 
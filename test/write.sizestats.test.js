@@ -0,0 +1,128 @@
+import { parquetMetadata } from 'hyparquet'
+import { readColumnIndex } from 'hyparquet/src/indexes.js'
+import { describe, expect, it } from 'vitest'
+import { parquetWriteBuffer } from '../src/index.js'
+import { pageHeaders } from './pages.js'
+
+/**
+ * @import {ColumnChunk, Encoding, SchemaElement} from 'hyparquet'
+ */
+
+/**
+ * Sum of the page header sizes and uncompressed page sizes of a column chunk.
+ * @param {ArrayBuffer} file
+ * @param {ColumnChunk} chunk
+ * @returns {number}
+ */
+function pageSizes(file, chunk) {
+  let size = 0
+  for (const { header, headerStart, offset } of pageHeaders(file, chunk)) {
+    size += offset - headerStart + header.field_2
+  }
+  return size
+}
+
+/** @type {SchemaElement[]} */
+const listSchema = [
+  { name: 'root', num_children: 1 },
+  { name: 'listy', repetition_type: 'OPTIONAL', num_children: 1, converted_type: 'LIST' },
+  { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+  { name: 'element', repetition_type: 'OPTIONAL', type: 'INT32' },
+]
+
+describe('size statistics', () => {
+  it('records the uncompressed size of pages and their headers', () => {
+    const data = Array.from({ length: 10000 }, (_, i) => `value ${i % 100}`)
+    const file = parquetWriteBuffer({
+      columnData: [
+        { name: 'dictionary', data },
+        { name: 'plain', data, encoding: 'PLAIN' },
+      ],
+      pageSize: 1000,
+    })
+    for (const chunk of parquetMetadata(file).row_groups[0].columns) {
+      const meta = chunk.meta_data
+      expect(meta?.total_uncompressed_size).toBe(BigInt(pageSizes(file, chunk)))
+    }
+    const plain = parquetMetadata(file).row_groups[0].columns[1].meta_data
+    expect(plain?.total_uncompressed_size).toBeGreaterThan(plain?.total_compressed_size ?? 0n)
+  })
+
+  it('counts unencoded byte array bytes', () => {
+    const data = Array.from({ length: 60 }, (_, i) => ['a', 'bb', null, 'ccc', 'héllo', 'bb'][i % 6])
+    /** @type {Encoding[]} */
+    const encodings = ['PLAIN', 'RLE_DICTIONARY']
+    for (const encoding of encodings) {
+      const file = parquetWriteBuffer({ columnData: [{ name: 'string', data, encoding }] })
+      const meta = parquetMetadata(file).row_groups[0].columns[0].meta_data
+      expect(meta?.encodings).toEqual([encoding])
+      expect(meta?.size_statistics).toEqual({
+        unencoded_byte_array_data_bytes: 140n,
+        definition_level_histogram: [10n, 50n],
+      })
+    }
+  })
+
+  it('counts bytes across dictionary fallback', () => {
+    const data = Array.from({ length: 4000 }, (_, i) => i < 2000 ? ['red', 'green', 'blue'][i % 3] : `https://example.com/item/${i}`)
+    const file = parquetWriteBuffer({ columnData: [{ name: 'string', data }], pageSize: 4096, rowGroupSize: 4000 })
+    const meta = parquetMetadata(file).row_groups[0].columns[0].meta_data
+    expect(meta?.encodings).toEqual(['RLE_DICTIONARY', 'PLAIN'])
+    const bytes = data.reduce((sum, value) => sum + value.length, 0)
+    expect(meta?.size_statistics?.unencoded_byte_array_data_bytes).toBe(BigInt(bytes))
+  })
+
+  it('writes repetition and definition level histograms', () => {
+    const listy = [[1, 2], null, [], [3, null, 4], [null]]
+    const file = parquetWriteBuffer({ columnData: [{ name: 'listy', data: listy }], schema: listSchema })
+    const meta = parquetMetadata(file).row_groups[0].columns[0].meta_data
+    expect(meta?.size_statistics).toEqual({
+      // five rows, and four values continuing a list
+      repetition_level_histogram: [5n, 3n],
+      // one null list, one empty list, two null elements, four values
+      definition_level_histogram: [1n, 1n, 2n, 4n],
+    })
+  })
+
+  it('omits size statistics for required primitive columns', () => {
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'id', data: [1, 2, 3], nullable: false }],
+    })
+    expect(parquetMetadata(file).row_groups[0].columns[0].meta_data?.size_statistics).toBeUndefined()
+  })
+
+  it('omits size statistics when statistics are disabled', () => {
+    const file = parquetWriteBuffer({ columnData: [{ name: 'string', data: ['a', 'b'] }], statistics: false })
+    expect(parquetMetadata(file).row_groups[0].columns[0].meta_data?.size_statistics).toBeUndefined()
+  })
+
+  it('writes level histograms per page in the column index', () => {
+    const listy = Array.from({ length: 200 }, (_, i) => i % 5 ? [i, i % 3 ? i : null] : null)
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'listy', data: listy, columnIndex: true }],
+      schema: listSchema,
+      pageRowLimit: 100,
+    })
+    const metadata = parquetMetadata(file)
+    const chunk = metadata.row_groups[0].columns[0]
+    const columnIndex = readColumnIndex({
+      view: new DataView(file, Number(chunk.column_index_offset), chunk.column_index_length),
+      offset: 0,
+    }, metadata.schema[3])
+    expect(columnIndex.null_counts).toHaveLength(2)
+    const repetition = columnIndex.repetition_level_histograms ?? []
+    const definition = columnIndex.definition_level_histograms ?? []
+    // two levels per page for repetition, four for definition
+    expect(repetition).toHaveLength(4)
+    expect(definition).toHaveLength(8)
+    expect(repetition.slice(0, 2)).toEqual([100n, 80n])
+    expect(definition.slice(0, 4)).toEqual([20n, 0n, 27n, 133n])
+
+    // page histograms add up to the chunk histograms
+    const { size_statistics } = chunk.meta_data ?? {}
+    expect(size_statistics?.repetition_level_histogram).toEqual([
+      repetition[0] + repetition[2], repetition[1] + repetition[3],
+    ])
+    expect(size_statistics?.definition_level_histogram).toEqual([0, 1, 2, 3].map(i => definition[i] + definition[i + 4]))
+  })
+})
@@ -0,0 +1,124 @@
+import { parquetMetadata, parquetReadObjects } from 'hyparquet'
+import { readColumnIndex } from 'hyparquet/src/indexes.js'
+import { describe, expect, it } from 'vitest'
+import { ByteWriter, ParquetWriter, parquetWriteBuffer, parquetWriteRows } from '../src/index.js'
+
+/**
+ * @import {ColumnSource} from '../src/types.js'
+ */
+
+/** @type {ColumnSource[]} */
+const columnData = [
+  { name: 'id', data: [5, 3, 8, 1, 9, 2], type: 'INT32' },
+  { name: 'color', data: ['red', null, 'blue', 'red', null, 'blue'], type: 'STRING' },
+  { name: 'point', data: [{ x: 5 }, { x: 3 }, { x: 8 }, { x: 1 }, { x: 9 }, { x: 2 }], type: 'JSON' },
+]
+
+describe('sortBy', () => {
+  it('sorts rows within each row group', async () => {
+    const file = parquetWriteBuffer({ columnData, sortBy: [{ column: 'id' }], rowGroupSize: 3 })
+    const rows = await parquetReadObjects({ file })
+    expect(rows.map(row => row.id)).toEqual([3, 5, 8, 1, 2, 9])
+    // other columns move with their rows
+    expect(rows.map(row => row.color)).toEqual([null, 'red', 'blue', 'red', 'blue', null])
+    expect(rows.every(row => row.point.x === row.id)).toBe(true)
+  })
+
+  it('records sorting_columns on each row group', () => {
+    const file = parquetWriteBuffer({
+      columnData,
+      sortBy: [{ column: 'color', nullsFirst: true }, { column: 'id', descending: true }],
+      rowGroupSize: 3,
+    })
+    for (const rowGroup of parquetMetadata(file).row_groups) {
+      expect(rowGroup.sorting_columns).toEqual([
+        { column_idx: 1, descending: false, nulls_first: true },
+        { column_idx: 0, descending: true, nulls_first: false },
+      ])
+    }
+  })
+
+  it('places nulls and breaks ties by later keys', async () => {
+    const nullsLast = parquetWriteBuffer({ columnData, sortBy: [{ column: 'color' }, { column: 'id' }] })
+    expect((await parquetReadObjects({ file: nullsLast })).map(row => row.id)).toEqual([2, 8, 1, 5, 3, 9])
+
+    const nullsFirst = parquetWriteBuffer({
+      columnData,
+      sortBy: [{ column: 'color', descending: true, nullsFirst: true }, { column: 'id', descending: true }],
+    })
+    expect((await parquetReadObjects({ file: nullsFirst })).map(row => row.id)).toEqual([9, 3, 5, 1, 8, 2])
+  })
+
+  it('keeps equal rows in their original order', async () => {
+    const file = parquetWriteBuffer({ columnData, sortBy: [{ column: 'color' }] })
+    expect((await parquetReadObjects({ file })).map(row => row.id)).toEqual([8, 2, 5, 1, 3, 9])
+  })
+
+  it('counts leaf columns of nested columns in column_idx', () => {
+    const file = parquetWriteBuffer({
+      columnData: [
+        { name: 'pair', data: [{ a: 1, b: 2 }, { a: 3, b: 4 }] },
+        { name: 'id', data: [2, 1] },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'pair', repetition_type: 'REQUIRED', num_children: 2 },
+        { name: 'a', type: 'INT32', repetition_type: 'REQUIRED' },
+        { name: 'b', type: 'INT32', repetition_type: 'REQUIRED' },
+        { name: 'id', type: 'INT32', repetition_type: 'REQUIRED' },
+      ],
+      sortBy: [{ column: 'id' }],
+    })
+    expect(parquetMetadata(file).row_groups[0].sorting_columns).toEqual([
+      { column_idx: 2, descending: false, nulls_first: false },
+    ])
+  })
+
+  it('writes ascending page indexes for the sort column', () => {
+    const file = parquetWriteBuffer({
+      columnData: [{ name: 'id', data: Array.from({ length: 100 }, (_, i) => i * 37 % 100), type: 'INT32', columnIndex: true }],
+      sortBy: [{ column: 'id' }],
+      pageSize: 100,
+    })
+    const metadata = parquetMetadata(file)
+    const chunk = metadata.row_groups[0].columns[0]
+    const columnIndex = readColumnIndex({
+      view: new DataView(file, Number(chunk.column_index_offset), chunk.column_index_length),
+      offset: 0,
+    }, metadata.schema[1])
+    expect(columnIndex.min_values.length).toBeGreaterThan(1)
+    expect(columnIndex.boundary_order).toBe('ASCENDING')
+  })
+
+  it('sorts rows written with parquetWriteRows', async () => {
+    const writer = new ByteWriter()
+    parquetWriteRows({
+      writer,
+      columns: [{ name: 'id', type: 'INT32' }],
+      rows: [{ id: 3 }, { id: 1 }, { id: 2 }],
+      sortBy: [{ column: 'id', descending: true }],
+    })
+    const file = writer.getBuffer()
+    expect(await parquetReadObjects({ file })).toEqual([{ id: 3 }, { id: 2 }, { id: 1 }])
+    expect(parquetMetadata(file).row_groups[0].sorting_columns).toHaveLength(1)
+  })
+
+  it('throws for unknown or nested sort columns', () => {
+    expect(() => parquetWriteBuffer({ columnData, sortBy: [{ column: 'missing' }] }))
+      .toThrow('parquet sortBy column not found: missing')
+    expect(() => parquetWriteBuffer({
+      columnData: [{ name: 'pair', data: [{ a: 1 }] }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'pair', repetition_type: 'REQUIRED', num_children: 1 },
+        { name: 'a', type: 'INT32', repetition_type: 'REQUIRED' },
+      ],
+      sortBy: [{ column: 'pair' }],
+    })).toThrow('parquet sortBy column must be a primitive column: pair')
+  })
+
+  it('throws when writing column by column', () => {
+    const pq = new ParquetWriter({ writer: new ByteWriter(), schema: parquetMetadata(parquetWriteBuffer({ columnData })).schema, sortBy: [{ column: 'id' }] })
+    expect(() => pq.beginRowGroup()).toThrow('parquet sortBy is not supported for row groups written column by column')
+  })
+})